@@ -0,0 +1,155 @@
+// Senior Medication App - Schedule Clock
+// Works out which day and time the medication schedule is on, so travelling across time zones
+// never mixes up which day a dose belongs to
+
+// 'off' follows the device clock, 'home' keeps doses on home time and 'gradual'
+// moves them to local time a little each day
+const TRAVEL_MODES = ['off', 'home', 'gradual'];
+
+// How far the schedule moves each day in gradual travel mode, unless set otherwise
+const DEFAULT_TRAVEL_SHIFT_HOURS = 1;
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+class ScheduleClock {
+    // getSettings() returns the app settings - read on every call so a change applies straight away
+    constructor(getSettings) {
+        this.getSettings = getSettings;
+    }
+
+    getDeviceTimeZone() {
+        return Intl.DateTimeFormat().resolvedOptions().timeZone;
+    }
+
+    getHomeTimeZone() {
+        return this.getSettings().homeTimeZone || this.getDeviceTimeZone();
+    }
+
+    getTravelMode() {
+        const mode = this.getSettings().travelMode;
+        return TRAVEL_MODES.includes(mode) ? mode : 'off';
+    }
+
+    // Minutes ahead of UTC on the device at a given moment
+    getDeviceOffset(date = new Date()) {
+        return -date.getTimezoneOffset();
+    }
+
+    // Minutes ahead of UTC in a named time zone. Date only knows the device's zone, so read
+    // the wall clock there from Intl and compare it with UTC.
+    getTimeZoneOffset(timeZone, date = new Date()) {
+        try {
+            const parts = {};
+            new Intl.DateTimeFormat('en-US', {
+                timeZone,
+                hourCycle: 'h23',
+                year: 'numeric',
+                month: 'numeric',
+                day: 'numeric',
+                hour: 'numeric',
+                minute: 'numeric',
+                second: 'numeric'
+            }).formatToParts(date).forEach(part => {
+                parts[part.type] = Number(part.value);
+            });
+
+            const wallClock = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+            const wholeSeconds = Math.floor(date.getTime() / 1000) * 1000;
+            return Math.round((wallClock - wholeSeconds) / MINUTE_MS);
+        } catch (error) {
+            console.log(`Unknown time zone ${timeZone}, using the device clock:`, error);
+            return this.getDeviceOffset(date);
+        }
+    }
+
+    // Minutes ahead of UTC that the medication schedule runs on
+    getScheduleOffset(date = new Date()) {
+        const mode = this.getTravelMode();
+        const deviceOffset = this.getDeviceOffset(date);
+        if (mode === 'off') return deviceOffset;
+
+        const homeOffset = this.getTimeZoneOffset(this.getHomeTimeZone(), date);
+        if (mode === 'home') return homeOffset;
+
+        // Gradual: start on home time and close the gap by a few hours a day
+        const gap = deviceOffset - homeOffset;
+        const maxShift = this.getTravelDay(date) * this.getShiftHoursPerDay() * 60;
+        return homeOffset + Math.sign(gap) * Math.min(Math.abs(gap), maxShift);
+    }
+
+    getShiftHoursPerDay() {
+        return this.getSettings().travelShiftHours || DEFAULT_TRAVEL_SHIFT_HOURS;
+    }
+
+    // Calendar days since gradual travel mode was turned on - that day is day 1, so the
+    // first step happens on arrival. Steps change at local midnight, never mid-day.
+    getTravelDay(date = new Date()) {
+        const startedAt = this.getSettings().travelStartedAt;
+        const started = startedAt ? new Date(startedAt) : date;
+        const startDay = new Date(started.getFullYear(), started.getMonth(), started.getDate());
+        const today = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+        return Math.max(1, Math.round((today - startDay) / DAY_MS) + 1);
+    }
+
+    // Minutes the schedule runs ahead of the device clock (negative when behind)
+    getShift(date = new Date()) {
+        return this.getScheduleOffset(date) - this.getDeviceOffset(date);
+    }
+
+    isShifted(date = new Date()) {
+        return this.getShift(date) !== 0;
+    }
+
+    // The current moment as a Date whose local fields read as schedule time, so
+    // toDateString(), getHours() and the rest give the schedule's day and time
+    now() {
+        return this.toScheduleTime(new Date());
+    }
+
+    toScheduleTime(date) {
+        return new Date(date.getTime() + this.getShift(date) * MINUTE_MS);
+    }
+
+    // The real moment a schedule time falls on. The shift is worked out a second time at
+    // that moment, in case it changes in between (a clock change or a new travel day).
+    toDeviceTime(scheduleTime) {
+        const estimate = new Date(scheduleTime.getTime() - this.getShift(scheduleTime) * MINUTE_MS);
+        return new Date(scheduleTime.getTime() - this.getShift(estimate) * MINUTE_MS);
+    }
+
+    // Hours and minutes between the schedule and the device, e.g. "3 hours" or "1 hour 30 minutes"
+    describeShift(minutes) {
+        const hours = Math.floor(Math.abs(minutes) / 60);
+        const rest = Math.abs(minutes) % 60;
+        const parts = [];
+        if (hours > 0) parts.push(`${hours} ${hours === 1 ? 'hour' : 'hours'}`);
+        if (rest > 0) parts.push(`${rest} minutes`);
+        return parts.join(' ') || '0 minutes';
+    }
+
+    // Explains on the Settings screen what the travel mode is doing right now
+    describeStatus(date = new Date()) {
+        const mode = this.getTravelMode();
+        const homeZone = this.getHomeTimeZone().replace(/_/g, ' ');
+        const homeOffset = this.getTimeZoneOffset(this.getHomeTimeZone(), date);
+        const gap = this.getDeviceOffset(date) - homeOffset;
+
+        if (mode === 'off') {
+            return gap === 0
+                ? 'Doses follow the clock on this device.'
+                : `Doses follow the clock on this device, which is ${this.describeShift(gap)} ${gap > 0 ? 'ahead of' : 'behind'} home (${homeZone}).`;
+        }
+
+        if (mode === 'home' || gap === 0) {
+            return gap === 0
+                ? `You are on home time (${homeZone}), so doses are at their usual times.`
+                : `Doses stay on home time (${homeZone}), ${this.describeShift(gap)} ${gap > 0 ? 'behind' : 'ahead of'} the clock here.`;
+        }
+
+        const remaining = -this.getShift(date);
+        return remaining === 0
+            ? 'Doses have moved all the way to local time.'
+            : `Doses are moving to local time ${this.describeShift(this.getShiftHoursPerDay() * 60)} a day. ${this.describeShift(remaining)} to go.`;
+    }
+}
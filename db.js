@@ -0,0 +1,312 @@
+// Senior Medication App - IndexedDB Data Store
+// Shared by the app (script.js) and the service worker (sw.js), so both read and write the same data
+
+const DB_NAME = 'seniorMed';
+const DB_VERSION = 4;
+
+// The first profile - everything saved before profiles existed belongs to it
+const DEFAULT_PROFILE_ID = 'default';
+const DEFAULT_PROFILE_NAME = 'Me';
+
+// Keys used before the move to IndexedDB - imported once, then removed
+const LEGACY_STORAGE_KEYS = {
+    medications: 'seniorMed_medications',
+    history: 'seniorMed_history',
+    settings: 'seniorMed_settings'
+};
+
+class MedicationStore {
+    constructor() {
+        this.db = null;
+        // Called when another tab upgrades the database and this connection has to close
+        this.onclose = null;
+    }
+
+    open() {
+        if (this.db) return Promise.resolve(this);
+
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+            request.onupgradeneeded = (event) => {
+                this.upgrade(request.result, event.oldVersion, request.transaction);
+            };
+            request.onsuccess = () => {
+                this.db = request.result;
+                // Let a newer version of the app upgrade the schema in another tab. This connection can't
+                // be reopened afterwards - the old code doesn't know the new schema - so the page must reload.
+                this.db.onversionchange = () => {
+                    this.db.close();
+                    this.db = null;
+                    if (this.onclose) this.onclose();
+                };
+                resolve(this);
+            };
+            request.onerror = () => reject(request.error);
+            request.onblocked = () => console.log('Database upgrade waiting for other tabs to close');
+        });
+    }
+
+    // Schema migrations - each step runs once, in order, for databases older than that version
+    upgrade(db, oldVersion, transaction) {
+        console.log(`Upgrading database from version ${oldVersion} to ${DB_VERSION}`);
+
+        if (oldVersion < 1) {
+            db.createObjectStore('medications', { keyPath: 'id' });
+
+            const history = db.createObjectStore('history', { keyPath: 'id' });
+            history.createIndex('medicationId', 'medicationId');
+            history.createIndex('date', 'date');
+            history.createIndex('dose', ['medicationId', 'date', 'scheduledTime']);
+
+            // Settings objects are stored under a name rather than a key path
+            db.createObjectStore('settings');
+            db.createObjectStore('meta', { keyPath: 'key' });
+        }
+        
+        if (oldVersion < 2) {
+            // One set of medications, history and settings per person
+            const profiles = db.createObjectStore('profiles', { keyPath: 'id' });
+            profiles.put({ id: DEFAULT_PROFILE_ID, name: DEFAULT_PROFILE_NAME, createdAt: new Date().toISOString() });
+            
+            ['medications', 'history'].forEach(storeName => {
+                const store = transaction.objectStore(storeName);
+                store.createIndex('profileId', 'profileId');
+                store.openCursor().onsuccess = (event) => {
+                    const cursor = event.target.result;
+                    if (!cursor) return;
+                    if (!cursor.value.profileId) {
+                        cursor.update({ ...cursor.value, profileId: DEFAULT_PROFILE_ID });
+                    }
+                    cursor.continue();
+                };
+            });
+            
+            // Settings move from the 'app' name to the profile's id
+            const settings = transaction.objectStore('settings');
+            settings.get('app').onsuccess = (event) => {
+                if (!event.target.result) return;
+                settings.put(event.target.result, DEFAULT_PROFILE_ID);
+                settings.delete('app');
+            };
+        }
+        
+        if (oldVersion < 3) {
+            // Before and after snapshots of recent changes to medications and history, for undo
+            const changes = db.createObjectStore('changes', { keyPath: 'id' });
+            changes.createIndex('profileId', 'profileId');
+        }
+        
+        if (oldVersion < 4) {
+            // Daily symptom journal, kept apart from the dose history
+            const journal = db.createObjectStore('journal', { keyPath: 'id' });
+            journal.createIndex('profileId', 'profileId');
+        }
+    }
+
+    // Basic Reads
+    getAll(storeName) {
+        return this.request(storeName, 'readonly', store => store.getAll());
+    }
+
+    get(storeName, key) {
+        return this.request(storeName, 'readonly', store => store.get(key));
+    }
+
+    getAllKeys(storeName) {
+        return this.request(storeName, 'readonly', store => store.getAllKeys());
+    }
+    
+    getSettings(profileId = DEFAULT_PROFILE_ID) {
+        return this.get('settings', profileId);
+    }
+    
+    // Medications, history entries, journal entries or logged changes of one profile
+    getProfileRecords(storeName, profileId) {
+        return this.request(storeName, 'readonly', store => store.index('profileId').getAll(profileId));
+    }
+
+    // History entries for one dose (medication, day and scheduled time)
+    getDoseEntries(medicationId, date, scheduledTime) {
+        return this.request('history', 'readonly', store =>
+            store.index('dose').getAll([medicationId, date, scheduledTime])
+        );
+    }
+
+    // Basic Writes
+    put(storeName, value) {
+        return this.request(storeName, 'readwrite', store => store.put(value));
+    }
+
+    delete(storeName, key) {
+        return this.request(storeName, 'readwrite', store => store.delete(key));
+    }
+
+    // Write a batch of changes in one transaction:
+    // { put: { storeName: [records] }, delete: { storeName: [keys] }, settings: { profileId: object } }
+    applyChanges(changes) {
+        const storeNames = new Set([
+            ...Object.keys(changes.put || {}),
+            ...Object.keys(changes.delete || {})
+        ]);
+        if (changes.settings) storeNames.add('settings');
+        if (storeNames.size === 0) return Promise.resolve();
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.transaction([...storeNames], 'readwrite');
+
+            Object.entries(changes.put || {}).forEach(([storeName, records]) => {
+                const store = transaction.objectStore(storeName);
+                records.forEach(record => store.put(record));
+            });
+
+            Object.entries(changes.delete || {}).forEach(([storeName, keys]) => {
+                const store = transaction.objectStore(storeName);
+                keys.forEach(key => store.delete(key));
+            });
+
+            Object.entries(changes.settings || {}).forEach(([name, settings]) => {
+                transaction.objectStore('settings').put(settings, name);
+            });
+
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+
+    // "Remind Later" tapped while the app was closed, on a browser that can't show a notification later by
+    // itself. The service worker saves the snooze, and the app (or a periodic sync) shows it when it is due.
+    async addPendingSnooze(snooze) {
+        const saved = await this.get('meta', 'pendingSnoozes');
+        await this.put('meta', { key: 'pendingSnoozes', value: [...(saved ? saved.value : []), snooze] });
+    }
+
+    // Remove and return the saved snoozes that `take(snooze)` accepts - all of them unless given
+    async takePendingSnoozes(take = () => true) {
+        const saved = await this.get('meta', 'pendingSnoozes');
+        const snoozes = saved ? saved.value : [];
+        const taken = snoozes.filter(take);
+        if (taken.length > 0) {
+            await this.put('meta', { key: 'pendingSnoozes', value: snoozes.filter(snooze => !taken.includes(snooze)) });
+        }
+        return taken;
+    }
+
+    // Remove a profile with all of its medications, history, journal, changes and settings in one transaction
+    deleteProfile(profileId) {
+        return new Promise((resolve, reject) => {
+            const transaction = this.transaction(['profiles', 'medications', 'history', 'journal', 'changes', 'settings'], 'readwrite');
+            
+            transaction.objectStore('profiles').delete(profileId);
+            transaction.objectStore('settings').delete(profileId);
+            ['medications', 'history', 'journal', 'changes'].forEach(storeName => {
+                const store = transaction.objectStore(storeName);
+                store.index('profileId').openKeyCursor(profileId).onsuccess = (event) => {
+                    const cursor = event.target.result;
+                    if (!cursor) return;
+                    store.delete(cursor.primaryKey);
+                    cursor.continue();
+                };
+            });
+            
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+
+    // Import the old localStorage blobs on first run. Only the app can call this -
+    // the service worker has no localStorage.
+    async migrateFromLocalStorage(storage) {
+        const migrated = await this.get('meta', 'localStorageMigrated');
+        if (migrated) return false;
+
+        // A key that can't be read is left in localStorage, so its data can still be recovered by hand
+        const unreadableKeys = [];
+        const read = (key, fallback) => {
+            const value = storage.getItem(key);
+            if (!value) return fallback;
+            try {
+                return JSON.parse(value);
+            } catch (error) {
+                console.error(`Could not read ${key} from localStorage - keeping it and carrying on:`, error);
+                unreadableKeys.push(key);
+                return fallback;
+            }
+        };
+
+        // The old keys held a single person's data
+        const medications = read(LEGACY_STORAGE_KEYS.medications, [])
+            .map(medication => ({ ...medication, profileId: DEFAULT_PROFILE_ID }));
+        const history = this.withUniqueIds(read(LEGACY_STORAGE_KEYS.history, []))
+            .map(entry => ({ ...entry, profileId: DEFAULT_PROFILE_ID }));
+        const settings = read(LEGACY_STORAGE_KEYS.settings, null);
+
+        await this.applyChanges({
+            put: {
+                medications: medications,
+                history: history
+            },
+            settings: settings ? { [DEFAULT_PROFILE_ID]: settings } : undefined
+        });
+
+        // Keep the old keys until every dose is safely in the database, so nothing is lost if it isn't
+        const savedIds = new Set(await this.getAllKeys('history'));
+        const written = history.filter(entry => savedIds.has(entry.id)).length;
+        if (written !== history.length) {
+            console.error(`Only ${written} of ${history.length} history entries were migrated - keeping localStorage`);
+            return false;
+        }
+
+        await this.put('meta', { key: 'localStorageMigrated', value: new Date().toISOString() });
+        Object.values(LEGACY_STORAGE_KEYS)
+            .filter(key => !unreadableKeys.includes(key))
+            .forEach(key => storage.removeItem(key));
+        console.log(`Migrated ${medications.length} medications and ${history.length} history entries from localStorage`);
+        return true;
+    }
+
+    // Old history ids were plain Date.now() timestamps, so doses recorded in the same millisecond
+    // share one. Later repeats get the next unused timestamp, so no entry overwrites another.
+    withUniqueIds(records) {
+        const usedIds = new Set(records.map(record => String(record.id)));
+        const seenIds = new Set();
+
+        return records.map(record => {
+            let id = String(record.id);
+            if (seenIds.has(id)) {
+                let next = Number(id) || Date.now();
+                do {
+                    next++;
+                } while (usedIds.has(String(next)));
+                id = String(next);
+                usedIds.add(id);
+            }
+            seenIds.add(id);
+            return { ...record, id };
+        });
+    }
+
+    // Start a transaction, or fail clearly if the database was closed for an upgrade
+    transaction(storeNames, mode) {
+        if (!this.db) throw new Error('The database was upgraded by a newer version of the app - reload to continue');
+        return this.db.transaction(storeNames, mode);
+    }
+
+    // Run a single request in its own transaction and resolve with its result
+    request(storeName, mode, makeRequest) {
+        return new Promise((resolve, reject) => {
+            const transaction = this.transaction(storeName, mode);
+            const request = makeRequest(transaction.objectStore(storeName));
+            let result;
+
+            request.onsuccess = () => {
+                result = request.result;
+            };
+            transaction.oncomplete = () => resolve(result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+}
@@ -0,0 +1,1176 @@
+// Senior Medication App - QR Codes
+// Builds and reads QR codes on this device (ISO/IEC 18004), so the medication list can be handed to
+// another phone without any outside service
+
+// Error correction levels used, most robust first: M survives about 15% damage, L about 7%.
+// The format bits are the ones the standard assigns to each level.
+const QR_ERROR_LEVELS = {
+    M: { formatBits: 0, index: 0 },
+    L: { formatBits: 1, index: 1 }
+};
+
+// Per version (1-40, index 0 unused): error correction bytes in each block, then the number of blocks
+const QR_EC_CODEWORDS_PER_BLOCK = [
+    [-1, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26, 30, 22, 22, 24, 24, 28, 28, 26, 26, 26, 26, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28],
+    [-1, 7, 10, 15, 20, 26, 18, 20, 24, 30, 18, 20, 24, 26, 30, 22, 24, 28, 30, 28, 28, 28, 28, 30, 30, 26, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30]
+];
+const QR_EC_BLOCKS = [
+    [-1, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5, 5, 8, 9, 9, 10, 10, 11, 13, 14, 16, 17, 17, 18, 20, 21, 23, 25, 26, 28, 29, 31, 33, 35, 37, 38, 40, 43, 45, 47, 49],
+    [-1, 1, 1, 1, 1, 1, 2, 2, 2, 2, 4, 4, 4, 4, 4, 6, 6, 6, 6, 7, 8, 8, 9, 9, 10, 12, 12, 12, 13, 14, 15, 16, 17, 18, 19, 19, 20, 21, 22, 24, 25]
+];
+
+const QR_MAX_VERSION = 40;
+
+// Text made only of these characters fits the denser alphanumeric mode; anything else is stored as bytes.
+// Numeric mode is only read, for codes made elsewhere. Character count lengths are for versions 1-9, 10-26 and 27-40.
+const QR_ALPHANUMERIC_CHARSET = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ $%*+-./:';
+const QR_MODES = {
+    numeric: { indicator: 0b0001, countBits: [10, 12, 14] },
+    alphanumeric: { indicator: 0b0010, countBits: [9, 11, 13] },
+    byte: { indicator: 0b0100, countBits: [8, 16, 16] }
+};
+// Marks a character set change, which is skipped when reading - the app's own codes are plain text
+const QR_ECI_INDICATOR = 0b0111;
+
+// Blank modules kept around the code so cameras can find its edges
+const QR_QUIET_ZONE = 4;
+
+// Reading pictures: pixels are compared with the average of the 5x5 blocks of this size around them,
+// so shadows and uneven light don't turn whole areas dark. Blocks with less contrast than the
+// minimum are taken to be all one colour.
+const QR_SCAN_BLOCK_SIZE = 8;
+const QR_SCAN_MIN_CONTRAST = 24;
+
+// Finder patterns tried in threes when looking for a code, most often seen first
+const QR_SCAN_MAX_FINDERS = 8;
+
+class QrCode {
+    // Use QrCode.encodeText() - this takes finished codewords for a chosen version and level
+    constructor(version, errorLevel, codewords) {
+        this.version = version;
+        this.errorLevel = errorLevel;
+        this.size = version * 4 + 17;
+        this.modules = Array.from({ length: this.size }, () => new Array(this.size).fill(false));
+        this.isFunction = Array.from({ length: this.size }, () => new Array(this.size).fill(false));
+
+        this.drawFunctionPatterns();
+        this.drawCodewords(this.addErrorCorrection(codewords));
+        this.mask = this.chooseMask();
+    }
+
+    // The smallest code that holds the text, with the strongest error correction that still fits
+    // in that size. Throws a RangeError when the text is too long for any QR code.
+    static encodeText(text) {
+        const isAlphanumeric = [...text].every(char => QR_ALPHANUMERIC_CHARSET.includes(char));
+        const mode = isAlphanumeric ? QR_MODES.alphanumeric : QR_MODES.byte;
+        const bits = [];
+        const appendBits = (value, length) => {
+            for (let i = length - 1; i >= 0; i--) bits.push((value >>> i) & 1);
+        };
+
+        // Alphanumeric mode packs pairs of characters into 11 bits (a last single one into 6)
+        const segment = [];
+        let count;
+        if (isAlphanumeric) {
+            count = text.length;
+            for (let i = 0; i < text.length; i += 2) {
+                const first = QR_ALPHANUMERIC_CHARSET.indexOf(text[i]);
+                segment.push(i + 1 < text.length
+                    ? [first * 45 + QR_ALPHANUMERIC_CHARSET.indexOf(text[i + 1]), 11]
+                    : [first, 6]);
+            }
+        } else {
+            const bytes = new TextEncoder().encode(text);
+            count = bytes.length;
+            bytes.forEach(byte => segment.push([byte, 8]));
+        }
+        const segmentBits = segment.reduce((total, [, length]) => total + length, 0);
+        const getCountBits = v => mode.countBits[v < 10 ? 0 : v < 27 ? 1 : 2];
+
+        let version = 0;
+        let dataBits = 0;
+        for (let v = 1; v <= QR_MAX_VERSION; v++) {
+            dataBits = 4 + getCountBits(v) + segmentBits;
+            if (dataBits <= QrCode.getDataCodewords(v, 'L') * 8) {
+                version = v;
+                break;
+            }
+        }
+        if (!version) {
+            throw new RangeError(`Too much data for a QR code (${count} characters)`);
+        }
+
+        const errorLevel = dataBits <= QrCode.getDataCodewords(version, 'M') * 8 ? 'M' : 'L';
+        const capacityBits = QrCode.getDataCodewords(version, errorLevel) * 8;
+
+        // Mode and length header, the data, then a terminator and padding up to the capacity
+        appendBits(mode.indicator, 4);
+        appendBits(count, getCountBits(version));
+        segment.forEach(([value, length]) => appendBits(value, length));
+        appendBits(0, Math.min(4, capacityBits - bits.length));
+        appendBits(0, (8 - bits.length % 8) % 8);
+        for (let pad = 0xEC; bits.length < capacityBits; pad ^= 0xEC ^ 0x11) {
+            appendBits(pad, 8);
+        }
+
+        const codewords = [];
+        for (let i = 0; i < bits.length; i += 8) {
+            codewords.push(bits.slice(i, i + 8).reduce((byte, bit) => (byte << 1) | bit, 0));
+        }
+        return new QrCode(version, errorLevel, codewords);
+    }
+
+    // Base45 (RFC 9285) writes binary data with alphanumeric characters only: every two bytes
+    // become three characters, so compressed data still fits the denser mode
+    static toBase45(bytes) {
+        let text = '';
+        for (let i = 0; i < bytes.length; i += 2) {
+            let value = i + 1 < bytes.length ? bytes[i] * 256 + bytes[i + 1] : bytes[i];
+            const digits = i + 1 < bytes.length ? 3 : 2;
+            for (let j = 0; j < digits; j++) {
+                text += QR_ALPHANUMERIC_CHARSET[value % 45];
+                value = Math.floor(value / 45);
+            }
+        }
+        return text;
+    }
+
+    // Throws a RangeError for text that isn't valid Base45
+    static fromBase45(text) {
+        const bytes = [];
+        for (let i = 0; i < text.length; i += 3) {
+            const chunk = text.slice(i, i + 3);
+            const digits = [...chunk].map(char => QR_ALPHANUMERIC_CHARSET.indexOf(char));
+            if (chunk.length < 2 || digits.includes(-1)) {
+                throw new RangeError('Not valid Base45 text');
+            }
+
+            const value = digits.reduceRight((total, digit) => total * 45 + digit, 0);
+            if (chunk.length === 3) {
+                if (value > 0xFFFF) throw new RangeError('Not valid Base45 text');
+                bytes.push(value >> 8, value & 0xFF);
+            } else {
+                if (value > 0xFF) throw new RangeError('Not valid Base45 text');
+                bytes.push(value);
+            }
+        }
+        return new Uint8Array(bytes);
+    }
+
+    // Modules left for data and error correction once the fixed patterns are drawn
+    static getRawDataModules(version) {
+        let modules = (16 * version + 128) * version + 64;
+        if (version >= 2) {
+            const alignmentCount = Math.floor(version / 7) + 2;
+            modules -= (25 * alignmentCount - 10) * alignmentCount - 55;
+            if (version >= 7) modules -= 36;
+        }
+        return modules;
+    }
+
+    static getDataCodewords(version, errorLevel) {
+        const level = QR_ERROR_LEVELS[errorLevel].index;
+        return Math.floor(QrCode.getRawDataModules(version) / 8) -
+            QR_EC_CODEWORDS_PER_BLOCK[level][version] * QR_EC_BLOCKS[level][version];
+    }
+
+    isDark(x, y) {
+        return this.modules[y][x];
+    }
+
+    // Fixed patterns: finders in three corners, timing lines, alignment squares and the format and version areas
+    drawFunctionPatterns() {
+        for (let i = 0; i < this.size; i++) {
+            this.setFunctionModule(6, i, i % 2 === 0);
+            this.setFunctionModule(i, 6, i % 2 === 0);
+        }
+
+        this.drawFinderPattern(3, 3);
+        this.drawFinderPattern(this.size - 4, 3);
+        this.drawFinderPattern(3, this.size - 4);
+
+        const positions = this.getAlignmentPositions();
+        const last = positions.length - 1;
+        positions.forEach((x, i) => {
+            positions.forEach((y, j) => {
+                // Skip the three corners taken by finder patterns
+                if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) return;
+                this.drawAlignmentPattern(x, y);
+            });
+        });
+
+        // Reserve the format areas now - the real bits go in once the mask is known
+        this.drawFormatBits(0);
+        this.drawVersion();
+    }
+
+    drawFinderPattern(centerX, centerY) {
+        for (let dy = -4; dy <= 4; dy++) {
+            for (let dx = -4; dx <= 4; dx++) {
+                const x = centerX + dx;
+                const y = centerY + dy;
+                const distance = Math.max(Math.abs(dx), Math.abs(dy));
+                if (x >= 0 && x < this.size && y >= 0 && y < this.size) {
+                    this.setFunctionModule(x, y, distance !== 2 && distance !== 4);
+                }
+            }
+        }
+    }
+
+    drawAlignmentPattern(centerX, centerY) {
+        for (let dy = -2; dy <= 2; dy++) {
+            for (let dx = -2; dx <= 2; dx++) {
+                this.setFunctionModule(centerX + dx, centerY + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+            }
+        }
+    }
+
+    // Centres of the alignment patterns along each axis, evenly spaced from the far edge back to 6
+    getAlignmentPositions() {
+        if (this.version === 1) return [];
+
+        const count = Math.floor(this.version / 7) + 2;
+        const step = Math.floor((this.version * 8 + count * 3 + 5) / (count * 4 - 4)) * 2;
+        const positions = [6];
+        for (let position = this.size - 7; positions.length < count; position -= step) {
+            positions.splice(1, 0, position);
+        }
+        return positions;
+    }
+
+    // Error level and mask, protected by a BCH code and written twice
+    drawFormatBits(mask) {
+        const bits = QrCode.getFormatBits((QR_ERROR_LEVELS[this.errorLevel].formatBits << 3) | mask);
+        QrCode.getFormatPositions(this.size).forEach(positions => {
+            positions.forEach(([x, y], i) => this.setFunctionModule(x, y, ((bits >>> i) & 1) === 1));
+        });
+
+        // The module next to the bottom-left finder is always dark
+        this.setFunctionModule(8, this.size - 8, true);
+    }
+
+    // The 15 format bits for 5 bits of error level and mask
+    static getFormatBits(data) {
+        let remainder = data;
+        for (let i = 0; i < 10; i++) {
+            remainder = (remainder << 1) ^ ((remainder >>> 9) * 0x537);
+        }
+        return ((data << 10) | remainder) ^ 0x5412;
+    }
+
+    // Where each format bit goes, lowest first: once around the top-left finder, and once
+    // split between the other two
+    static getFormatPositions(size) {
+        const first = [];
+        for (let i = 0; i <= 5; i++) first.push([8, i]);
+        first.push([8, 7], [8, 8], [7, 8]);
+        for (let i = 9; i < 15; i++) first.push([14 - i, 8]);
+
+        const second = [];
+        for (let i = 0; i < 8; i++) second.push([size - 1 - i, 8]);
+        for (let i = 8; i < 15; i++) second.push([8, size - 15 + i]);
+
+        return [first, second];
+    }
+
+    // Codes from version 7 up also spell out their version, next to two of the finders
+    drawVersion() {
+        if (this.version < 7) return;
+
+        const bits = QrCode.getVersionBits(this.version);
+        QrCode.getVersionPositions(this.size).forEach(positions => {
+            positions.forEach(([x, y], i) => this.setFunctionModule(x, y, ((bits >>> i) & 1) === 1));
+        });
+    }
+
+    // The 18 version bits: the version and a BCH code protecting it
+    static getVersionBits(version) {
+        let remainder = version;
+        for (let i = 0; i < 12; i++) {
+            remainder = (remainder << 1) ^ ((remainder >>> 11) * 0x1F25);
+        }
+        return (version << 12) | remainder;
+    }
+
+    // Where each version bit goes, lowest first: left of the top-right finder and above the bottom-left one
+    static getVersionPositions(size) {
+        const topRight = [];
+        const bottomLeft = [];
+        for (let i = 0; i < 18; i++) {
+            const a = size - 11 + i % 3;
+            const b = Math.floor(i / 3);
+            topRight.push([a, b]);
+            bottomLeft.push([b, a]);
+        }
+        return [topRight, bottomLeft];
+    }
+
+    setFunctionModule(x, y, dark) {
+        this.modules[y][x] = dark;
+        this.isFunction[y][x] = true;
+    }
+
+    // How many error correction bytes each block has, and how many data bytes are in each block.
+    // The later blocks hold one data byte more when the codewords don't divide evenly.
+    getBlockLayout() {
+        const level = QR_ERROR_LEVELS[this.errorLevel].index;
+        const blockCount = QR_EC_BLOCKS[level][this.version];
+        const ecLength = QR_EC_CODEWORDS_PER_BLOCK[level][this.version];
+        const rawCodewords = Math.floor(QrCode.getRawDataModules(this.version) / 8);
+        const shortBlockCount = blockCount - rawCodewords % blockCount;
+        const shortBlockLength = Math.floor(rawCodewords / blockCount);
+
+        const dataLengths = [];
+        for (let i = 0; i < blockCount; i++) {
+            dataLengths.push(shortBlockLength - ecLength + (i < shortBlockCount ? 0 : 1));
+        }
+        return { ecLength, dataLengths };
+    }
+
+    // Split the data into blocks, add Reed-Solomon error correction to each and interleave them
+    addErrorCorrection(data) {
+        const { ecLength, dataLengths } = this.getBlockLayout();
+        const divisor = QrCode.getReedSolomonDivisor(ecLength);
+
+        const blocks = [];
+        let offset = 0;
+        dataLengths.forEach(dataLength => {
+            const blockData = data.slice(offset, offset + dataLength);
+            offset += dataLength;
+            blocks.push({ data: blockData, ec: QrCode.getReedSolomonRemainder(blockData, divisor) });
+        });
+
+        const result = [];
+        for (let i = 0; i < Math.max(...dataLengths); i++) {
+            blocks.forEach(block => {
+                if (i < block.data.length) result.push(block.data[i]);
+            });
+        }
+        for (let i = 0; i < ecLength; i++) {
+            blocks.forEach(block => result.push(block.ec[i]));
+        }
+        return result;
+    }
+
+    // Generator polynomial (x - 1)(x - 2)(x - 4)... with `degree` factors, highest term left out
+    static getReedSolomonDivisor(degree) {
+        const result = new Array(degree).fill(0);
+        result[degree - 1] = 1;
+
+        let root = 1;
+        for (let i = 0; i < degree; i++) {
+            for (let j = 0; j < degree; j++) {
+                result[j] = QrCode.multiply(result[j], root);
+                if (j + 1 < degree) result[j] ^= result[j + 1];
+            }
+            root = QrCode.multiply(root, 0x02);
+        }
+        return result;
+    }
+
+    static getReedSolomonRemainder(data, divisor) {
+        const result = new Array(divisor.length).fill(0);
+        data.forEach(byte => {
+            const factor = byte ^ result.shift();
+            result.push(0);
+            divisor.forEach((coefficient, i) => {
+                result[i] ^= QrCode.multiply(coefficient, factor);
+            });
+        });
+        return result;
+    }
+
+    // Multiplication in GF(2^8) with the QR code polynomial x^8 + x^4 + x^3 + x^2 + 1
+    static multiply(x, y) {
+        let result = 0;
+        for (let i = 7; i >= 0; i--) {
+            result = (result << 1) ^ ((result >>> 7) * 0x11D);
+            result ^= ((y >>> i) & 1) * x;
+        }
+        return result;
+    }
+
+    // The data modules in the order their bits are filled: two columns at a time, zigzagging
+    // up and down from the bottom right
+    getDataPositions() {
+        const positions = [];
+        for (let right = this.size - 1; right >= 1; right -= 2) {
+            if (right === 6) right = 5; // Step over the vertical timing line
+
+            const upward = ((right + 1) & 2) === 0;
+            for (let vertical = 0; vertical < this.size; vertical++) {
+                const y = upward ? this.size - 1 - vertical : vertical;
+                for (let j = 0; j < 2; j++) {
+                    const x = right - j;
+                    if (!this.isFunction[y][x]) positions.push([x, y]);
+                }
+            }
+        }
+        return positions;
+    }
+
+    drawCodewords(codewords) {
+        const positions = this.getDataPositions();
+        for (let bitIndex = 0; bitIndex < codewords.length * 8; bitIndex++) {
+            const [x, y] = positions[bitIndex];
+            this.modules[y][x] = ((codewords[bitIndex >>> 3] >>> (7 - (bitIndex & 7))) & 1) === 1;
+        }
+    }
+
+    // Try all eight masks and keep the one that leaves the fewest patterns that confuse scanners
+    chooseMask() {
+        let bestMask = 0;
+        let bestPenalty = Infinity;
+
+        for (let mask = 0; mask < 8; mask++) {
+            this.applyMask(mask);
+            this.drawFormatBits(mask);
+            const penalty = this.getPenalty();
+            if (penalty < bestPenalty) {
+                bestMask = mask;
+                bestPenalty = penalty;
+            }
+            this.applyMask(mask); // Masks are XOR, so applying one again removes it
+        }
+
+        this.applyMask(bestMask);
+        this.drawFormatBits(bestMask);
+        return bestMask;
+    }
+
+    applyMask(mask) {
+        const rules = [
+            (x, y) => (x + y) % 2 === 0,
+            (x, y) => y % 2 === 0,
+            (x) => x % 3 === 0,
+            (x, y) => (x + y) % 3 === 0,
+            (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+            (x, y) => (x * y) % 2 + (x * y) % 3 === 0,
+            (x, y) => ((x * y) % 2 + (x * y) % 3) % 2 === 0,
+            (x, y) => ((x + y) % 2 + (x * y) % 3) % 2 === 0
+        ];
+
+        for (let y = 0; y < this.size; y++) {
+            for (let x = 0; x < this.size; x++) {
+                if (!this.isFunction[y][x] && rules[mask](x, y)) {
+                    this.modules[y][x] = !this.modules[y][x];
+                }
+            }
+        }
+    }
+
+    // The standard's penalty score: long runs, 2x2 blocks, finder look-alikes and an uneven dark/light balance
+    getPenalty() {
+        let penalty = 0;
+        const lines = [];
+        for (let i = 0; i < this.size; i++) {
+            lines.push(this.modules[i].map(dark => (dark ? '1' : '0')).join(''));
+            lines.push(this.modules.map(row => (row[i] ? '1' : '0')).join(''));
+        }
+
+        lines.forEach(line => {
+            (line.match(/0{5,}|1{5,}/g) || []).forEach(run => {
+                penalty += run.length - 2;
+            });
+            penalty += 40 * ((line.match(/(?=00001011101|10111010000)/g) || []).length);
+        });
+
+        let dark = 0;
+        for (let y = 0; y < this.size; y++) {
+            for (let x = 0; x < this.size; x++) {
+                const color = this.modules[y][x];
+                if (color) dark++;
+                if (x < this.size - 1 && y < this.size - 1 &&
+                    color === this.modules[y][x + 1] &&
+                    color === this.modules[y + 1][x] &&
+                    color === this.modules[y + 1][x + 1]) {
+                    penalty += 3;
+                }
+            }
+        }
+
+        const total = this.size * this.size;
+        penalty += 10 * (Math.ceil(Math.abs(dark * 20 - total * 10) / total) - 1);
+        return penalty;
+    }
+
+    // Draw the code on a canvas with a light quiet zone around it, `scale` pixels per module
+    drawTo(canvas, scale) {
+        const width = (this.size + QR_QUIET_ZONE * 2) * scale;
+        canvas.width = width;
+        canvas.height = width;
+
+        const context = canvas.getContext('2d');
+        context.fillStyle = '#FFFFFF';
+        context.fillRect(0, 0, width, width);
+        context.fillStyle = '#000000';
+        for (let y = 0; y < this.size; y++) {
+            for (let x = 0; x < this.size; x++) {
+                if (this.modules[y][x]) {
+                    context.fillRect((x + QR_QUIET_ZONE) * scale, (y + QR_QUIET_ZONE) * scale, scale, scale);
+                }
+            }
+        }
+    }
+
+
+    // Read the text of a QR code in a picture - { data, width, height } with RGBA pixels, as from a
+    // canvas's getImageData(). Returns null when no code can be found or read. Only the error
+    // correction levels this app makes (M and L) are read.
+    static decodeImage(image) {
+        const bits = QrCode.binarize(image);
+        const finders = QrCode.findFinderPatterns(bits);
+
+        for (let a = 0; a < finders.length; a++) {
+            for (let b = a + 1; b < finders.length; b++) {
+                for (let c = b + 1; c < finders.length; c++) {
+                    const corners = QrCode.orderFinderPatterns(finders[a], finders[b], finders[c]);
+                    const text = corners ? QrCode.readCodeAt(bits, corners) : null;
+                    if (text !== null) return text;
+                }
+            }
+        }
+        return null;
+    }
+
+    // Each pixel as dark (1) or light (0) against the light around it
+    static binarize({ data, width, height }) {
+        const gray = new Uint8Array(width * height);
+        for (let i = 0; i < gray.length; i++) {
+            const luminance = (data[i * 4] * 299 + data[i * 4 + 1] * 587 + data[i * 4 + 2] * 114) / 1000;
+            // Transparent pixels count as the white page behind them
+            gray[i] = 255 - (255 - luminance) * data[i * 4 + 3] / 255;
+        }
+
+        const blocksX = Math.ceil(width / QR_SCAN_BLOCK_SIZE);
+        const blocksY = Math.ceil(height / QR_SCAN_BLOCK_SIZE);
+        const thresholds = new Float32Array(blocksX * blocksY);
+        for (let by = 0; by < blocksY; by++) {
+            for (let bx = 0; bx < blocksX; bx++) {
+                let sum = 0;
+                let count = 0;
+                let min = 255;
+                let max = 0;
+                for (let y = by * QR_SCAN_BLOCK_SIZE; y < Math.min(height, (by + 1) * QR_SCAN_BLOCK_SIZE); y++) {
+                    for (let x = bx * QR_SCAN_BLOCK_SIZE; x < Math.min(width, (bx + 1) * QR_SCAN_BLOCK_SIZE); x++) {
+                        const value = gray[y * width + x];
+                        sum += value;
+                        count++;
+                        min = Math.min(min, value);
+                        max = Math.max(max, value);
+                    }
+                }
+
+                let threshold = sum / count;
+                if (max - min <= QR_SCAN_MIN_CONTRAST) {
+                    // A flat block is light, unless it is darker than the blocks already seen next to it
+                    threshold = min / 2;
+                    if (bx > 0 && by > 0) {
+                        const neighbours = (thresholds[(by - 1) * blocksX + bx] + 2 * thresholds[by * blocksX + bx - 1] +
+                            thresholds[(by - 1) * blocksX + bx - 1]) / 4;
+                        if (min < neighbours) threshold = neighbours;
+                    }
+                }
+                thresholds[by * blocksX + bx] = threshold;
+            }
+        }
+
+        const dark = new Uint8Array(width * height);
+        for (let by = 0; by < blocksY; by++) {
+            for (let bx = 0; bx < blocksX; bx++) {
+                let sum = 0;
+                let count = 0;
+                for (let ny = Math.max(0, by - 2); ny <= Math.min(blocksY - 1, by + 2); ny++) {
+                    for (let nx = Math.max(0, bx - 2); nx <= Math.min(blocksX - 1, bx + 2); nx++) {
+                        sum += thresholds[ny * blocksX + nx];
+                        count++;
+                    }
+                }
+                const threshold = sum / count;
+
+                for (let y = by * QR_SCAN_BLOCK_SIZE; y < Math.min(height, (by + 1) * QR_SCAN_BLOCK_SIZE); y++) {
+                    for (let x = bx * QR_SCAN_BLOCK_SIZE; x < Math.min(width, (bx + 1) * QR_SCAN_BLOCK_SIZE); x++) {
+                        dark[y * width + x] = gray[y * width + x] <= threshold ? 1 : 0;
+                    }
+                }
+            }
+        }
+        return { width, height, dark };
+    }
+
+    // Centres of the squares in three corners of a code: dark, light, dark, light and dark in the
+    // proportions 1:1:3:1:1 whichever way they are crossed. Each is { x, y, moduleSize, count },
+    // where count is how many rows it was seen on.
+    static findFinderPatterns(bits) {
+        const found = [];
+
+        for (let y = 0; y < bits.height; y++) {
+            const runs = QrCode.getRuns(bits, y);
+            for (let i = 0; i + 4 < runs.length; i++) {
+                if (!runs[i].dark || !QrCode.isFinderRatio(runs.slice(i, i + 5).map(run => run.length))) continue;
+
+                // Check the same proportions up and down through the middle, then across again at the centre found
+                const middle = runs[i + 2];
+                const x = Math.floor(middle.start + middle.length / 2);
+                const vertical = QrCode.crossCheck(bits, x, y, 0, 1);
+                if (!vertical || !QrCode.isFinderRatio(vertical.runs)) continue;
+
+                const centerY = y + 0.5 + vertical.offset;
+                const horizontal = QrCode.crossCheck(bits, x, Math.floor(centerY), 1, 0);
+                if (!horizontal || !QrCode.isFinderRatio(horizontal.runs)) continue;
+
+                const width = horizontal.runs.reduce((total, length) => total + length, 0);
+                const height = vertical.runs.reduce((total, length) => total + length, 0);
+                if (Math.abs(width - height) > Math.max(width, height) * 0.4) continue;
+
+                const pattern = { x: x + 0.5 + horizontal.offset, y: centerY, moduleSize: (width + height) / 14 };
+                const same = found.find(other =>
+                    Math.abs(other.x - pattern.x) <= other.moduleSize &&
+                    Math.abs(other.y - pattern.y) <= other.moduleSize &&
+                    Math.abs(other.moduleSize - pattern.moduleSize) <= Math.max(1, other.moduleSize * 0.3)
+                );
+                if (same) {
+                    // Average every sighting, so the centre settles in the middle of the square
+                    same.x = (same.x * same.count + pattern.x) / (same.count + 1);
+                    same.y = (same.y * same.count + pattern.y) / (same.count + 1);
+                    same.moduleSize = (same.moduleSize * same.count + pattern.moduleSize) / (same.count + 1);
+                    same.count++;
+                } else {
+                    found.push({ ...pattern, count: 1 });
+                }
+            }
+        }
+
+        return found.sort((a, b) => b.count - a.count).slice(0, QR_SCAN_MAX_FINDERS);
+    }
+
+    // Runs of dark and light pixels along a row, as { dark, start, length }
+    static getRuns(bits, y, from = 0, to = bits.width) {
+        const runs = [];
+        for (let x = from; x < to; x++) {
+            const dark = bits.dark[y * bits.width + x] === 1;
+            const last = runs[runs.length - 1];
+            if (last && last.dark === dark) {
+                last.length++;
+            } else {
+                runs.push({ dark, start: x, length: 1 });
+            }
+        }
+        return runs;
+    }
+
+    static isFinderRatio(lengths) {
+        const moduleSize = lengths.reduce((total, length) => total + length, 0) / 7;
+        const allowed = moduleSize / 2;
+        return moduleSize > 0 &&
+            Math.abs(lengths[0] - moduleSize) < allowed &&
+            Math.abs(lengths[1] - moduleSize) < allowed &&
+            Math.abs(lengths[2] - 3 * moduleSize) < 3 * allowed &&
+            Math.abs(lengths[3] - moduleSize) < allowed &&
+            Math.abs(lengths[4] - moduleSize) < allowed;
+    }
+
+    // Walk from a dark pixel both ways along (dx, dy), measuring the dark run it is in and the light
+    // and dark runs on either side. Returns the five lengths and how far the middle of the dark run
+    // is from the pixel, or null when a run is missing.
+    static crossCheck(bits, x, y, dx, dy) {
+        const isDark = step => {
+            const px = x + dx * step;
+            const py = y + dy * step;
+            if (px < 0 || py < 0 || px >= bits.width || py >= bits.height) return null;
+            return bits.dark[py * bits.width + px] === 1;
+        };
+        if (!isDark(0)) return null;
+
+        // Dark, light, then dark again, walking away from the pixel
+        const walk = (start, direction) => {
+            const lengths = [0, 0, 0];
+            let step = start;
+            for (let part = 0; part < 3; part++) {
+                const wantDark = part !== 1;
+                let dark = isDark(step);
+                while (dark === wantDark) {
+                    lengths[part]++;
+                    step += direction;
+                    dark = isDark(step);
+                }
+                if (part > 0 && lengths[part] === 0) return null;
+                if (dark === null && part < 2) return null;
+            }
+            return lengths;
+        };
+
+        const before = walk(0, -1);
+        const after = walk(1, 1);
+        if (!before || !after) return null;
+
+        return {
+            runs: [before[2], before[1], before[0] + after[0], after[1], after[2]],
+            offset: (after[0] - before[0] + 1) / 2
+        };
+    }
+
+    // Tell the three finder patterns apart: the top-left one faces the longest side, and the other two
+    // are the way round that makes the code read left to right. Returns null when the three can't be one code.
+    static orderFinderPatterns(a, b, c) {
+        const distance = (p, q) => Math.hypot(p.x - q.x, p.y - q.y);
+        const sides = [[distance(b, c), a, b, c], [distance(a, c), b, a, c], [distance(a, b), c, a, b]];
+        const [, topLeft, first, second] = sides.sort((x, y) => y[0] - x[0])[0];
+
+        const sizes = [a.moduleSize, b.moduleSize, c.moduleSize];
+        if (Math.max(...sizes) > Math.min(...sizes) * 1.5) return null;
+
+        const toFirst = { x: first.x - topLeft.x, y: first.y - topLeft.y };
+        const toSecond = { x: second.x - topLeft.x, y: second.y - topLeft.y };
+        const lengths = [Math.hypot(toFirst.x, toFirst.y), Math.hypot(toSecond.x, toSecond.y)];
+        if (Math.max(...lengths) > Math.min(...lengths) * 1.5) return null;
+
+        // The corner at the top-left finder should be close to square
+        const cosine = (toFirst.x * toSecond.x + toFirst.y * toSecond.y) / (lengths[0] * lengths[1]);
+        if (Math.abs(cosine) > 0.5) return null;
+
+        const clockwise = toFirst.x * toSecond.y - toFirst.y * toSecond.x > 0;
+        return clockwise
+            ? { topLeft, topRight: first, bottomLeft: second }
+            : { topLeft, topRight: second, bottomLeft: first };
+    }
+
+    // Read the code framed by three finder patterns. The size counted from the picture can be a
+    // version out, so the next sizes are tried too; codes from version 7 up also say their version.
+    static readCodeAt(bits, { topLeft, topRight, bottomLeft }) {
+        // Measured along the code's own rows and columns, as a code at an angle looks wider across the picture's
+        const sizes = [
+            QrCode.measureModuleSize(bits, topLeft, topRight),
+            QrCode.measureModuleSize(bits, topRight, topLeft),
+            QrCode.measureModuleSize(bits, topLeft, bottomLeft),
+            QrCode.measureModuleSize(bits, bottomLeft, topLeft)
+        ].filter(size => size !== null);
+        if (sizes.length === 0) return null;
+
+        const moduleSize = sizes.reduce((total, size) => total + size, 0) / sizes.length;
+        const across = (Math.hypot(topRight.x - topLeft.x, topRight.y - topLeft.y) +
+            Math.hypot(bottomLeft.x - topLeft.x, bottomLeft.y - topLeft.y)) / 2;
+        const estimate = Math.round((across / moduleSize + 7 - 17) / 4);
+
+        for (const version of [estimate, estimate + 1, estimate - 1]) {
+            if (version < 1 || version > QR_MAX_VERSION) continue;
+
+            let modules = QrCode.sampleModules(bits, { topLeft, topRight, bottomLeft }, version);
+            if (modules && version >= 7) {
+                const statedVersion = QrCode.readVersion(modules);
+                if (statedVersion && statedVersion !== version) {
+                    modules = QrCode.sampleModules(bits, { topLeft, topRight, bottomLeft }, statedVersion);
+                }
+            }
+
+            const text = modules ? QrCode.decodeModules(modules) : null;
+            if (text !== null) return text;
+        }
+        return null;
+    }
+
+    // A finder pattern's module size, from the seven modules across it on the line towards another point
+    static measureModuleSize(bits, from, towards) {
+        const length = Math.hypot(towards.x - from.x, towards.y - from.y);
+        const dx = (towards.x - from.x) / length;
+        const dy = (towards.y - from.y) / length;
+        const limit = from.moduleSize * 8;
+
+        // From the centre out through the dark middle, the light ring and the dark ring: three and a half modules
+        const toEdge = direction => {
+            let part = 0;
+            for (let step = 0; step < limit; step++) {
+                const x = Math.floor(from.x + dx * step * direction);
+                const y = Math.floor(from.y + dy * step * direction);
+                if (x < 0 || y < 0 || x >= bits.width || y >= bits.height) return null;
+
+                const dark = bits.dark[y * bits.width + x] === 1;
+                if (part === 1 ? dark : !dark) part++;
+                if (part === 3) return step;
+            }
+            return null;
+        };
+
+        const ahead = toEdge(1);
+        const behind = toEdge(-1);
+        return ahead === null || behind === null ? null : (ahead + behind) / 7;
+    }
+
+    // Read the dark and light modules of a code of a given version. The three finders fix the corners;
+    // the bottom-right alignment square, where there is one, corrects for a photo taken at an angle.
+    static sampleModules(bits, { topLeft, topRight, bottomLeft }, version) {
+        const size = version * 4 + 17;
+        const finderCenter = 3.5;
+        const far = size - 3.5;
+
+        // Where the last corner would be if the picture were taken straight on
+        let corner = { x: topRight.x + bottomLeft.x - topLeft.x, y: topRight.y + bottomLeft.y - topLeft.y };
+        let cornerModule = far;
+        if (version >= 2) {
+            cornerModule = size - 6.5;
+            const span = far - finderCenter;
+            const rowStep = { x: (topRight.x - topLeft.x) / span, y: (topRight.y - topLeft.y) / span };
+            const colStep = { x: (bottomLeft.x - topLeft.x) / span, y: (bottomLeft.y - topLeft.y) / span };
+            const estimate = {
+                x: topLeft.x + (rowStep.x + colStep.x) * (cornerModule - finderCenter),
+                y: topLeft.y + (rowStep.y + colStep.y) * (cornerModule - finderCenter)
+            };
+            corner = QrCode.findAlignmentPattern(bits, estimate, rowStep, colStep) || estimate;
+        }
+
+        const transform = QrCode.getPerspectiveTransform(
+            [[finderCenter, finderCenter], [far, finderCenter], [finderCenter, far], [cornerModule, cornerModule]],
+            [[topLeft.x, topLeft.y], [topRight.x, topRight.y], [bottomLeft.x, bottomLeft.y], [corner.x, corner.y]]
+        );
+        if (!transform) return null;
+
+        const modules = [];
+        for (let y = 0; y < size; y++) {
+            const row = [];
+            for (let x = 0; x < size; x++) {
+                const [px, py] = transform(x + 0.5, y + 0.5);
+                // A little past the edge is rounding; much further means the code isn't all in the picture
+                if (px < -2 || py < -2 || px > bits.width + 2 || py > bits.height + 2) return null;
+                const column = Math.min(bits.width - 1, Math.max(0, Math.floor(px)));
+                const line = Math.min(bits.height - 1, Math.max(0, Math.floor(py)));
+                row.push(bits.dark[line * bits.width + column] === 1);
+            }
+            modules.push(row);
+        }
+        return modules;
+    }
+
+    // An alignment square near where it is expected: a dark module ringed by light and then dark ones.
+    // rowStep and colStep are one module along the code's rows and columns, in pixels. The search
+    // widens if it isn't found close by.
+    static findAlignmentPattern(bits, estimate, rowStep, colStep) {
+        const moduleSize = (Math.hypot(rowStep.x, rowStep.y) + Math.hypot(colStep.x, colStep.y)) / 2;
+        // A square at an angle is wider across the picture's rows than one module
+        const isModule = length => length > moduleSize / 2 && length < moduleSize * 2;
+
+        // Modules that don't match the whole 5x5 square - lone dark modules in the data pass the first checks
+        const countMismatches = center => {
+            let mismatches = 0;
+            for (let i = -2; i <= 2; i++) {
+                for (let j = -2; j <= 2; j++) {
+                    const x = Math.floor(center.x + rowStep.x * i + colStep.x * j);
+                    const y = Math.floor(center.y + rowStep.y * i + colStep.y * j);
+                    const dark = x >= 0 && y >= 0 && x < bits.width && y < bits.height && bits.dark[y * bits.width + x] === 1;
+                    if (dark !== (Math.max(Math.abs(i), Math.abs(j)) !== 1)) mismatches++;
+                }
+            }
+            return mismatches;
+        };
+
+        for (const reach of [4, 8, 16]) {
+            const radius = reach * moduleSize;
+            const left = Math.max(0, Math.floor(estimate.x - radius));
+            const right = Math.min(bits.width, Math.ceil(estimate.x + radius));
+            const top = Math.max(0, Math.floor(estimate.y - radius));
+            const bottom = Math.min(bits.height, Math.ceil(estimate.y + radius));
+            let best = null;
+
+            for (let y = top; y < bottom; y++) {
+                const runs = QrCode.getRuns(bits, y, left, right);
+                for (let i = 1; i + 1 < runs.length; i++) {
+                    if (!runs[i].dark || ![runs[i - 1], runs[i], runs[i + 1]].every(run => isModule(run.length))) continue;
+
+                    const x = Math.floor(runs[i].start + runs[i].length / 2);
+                    const vertical = QrCode.crossCheck(bits, x, y, 0, 1);
+                    if (!vertical || !vertical.runs.slice(1, 4).every(isModule)) continue;
+
+                    const centerY = y + 0.5 + vertical.offset;
+                    const horizontal = QrCode.crossCheck(bits, x, Math.floor(centerY), 1, 0);
+                    if (!horizontal || !horizontal.runs.slice(1, 4).every(isModule)) continue;
+
+                    const pattern = { x: x + 0.5 + horizontal.offset, y: centerY };
+                    if (countMismatches(pattern) > 2) continue;
+
+                    const distance = Math.hypot(pattern.x - estimate.x, pattern.y - estimate.y);
+                    if (!best || distance < best.distance) best = { ...pattern, distance };
+                }
+            }
+
+            if (best) return { x: best.x, y: best.y };
+        }
+        return null;
+    }
+
+    // The projective transform taking four points onto four others, as a function of x and y.
+    // Returns null when the points don't make a proper four-sided shape.
+    static getPerspectiveTransform(from, to) {
+        const rows = [];
+        from.forEach(([x, y], i) => {
+            const [u, v] = to[i];
+            rows.push([x, y, 1, 0, 0, 0, -u * x, -u * y, u]);
+            rows.push([0, 0, 0, x, y, 1, -v * x, -v * y, v]);
+        });
+
+        // Gaussian elimination, largest pivot first
+        for (let column = 0; column < 8; column++) {
+            let pivot = column;
+            for (let row = column + 1; row < 8; row++) {
+                if (Math.abs(rows[row][column]) > Math.abs(rows[pivot][column])) pivot = row;
+            }
+            if (Math.abs(rows[pivot][column]) < 1e-9) return null;
+            [rows[column], rows[pivot]] = [rows[pivot], rows[column]];
+
+            for (let row = 0; row < 8; row++) {
+                if (row === column) continue;
+                const factor = rows[row][column] / rows[column][column];
+                for (let k = column; k < 9; k++) rows[row][k] -= factor * rows[column][k];
+            }
+        }
+        const h = rows.map((row, i) => row[8] / row[i]);
+
+        return (x, y) => {
+            const w = h[6] * x + h[7] * y + 1;
+            return [(h[0] * x + h[1] * y + h[2]) / w, (h[3] * x + h[4] * y + h[5]) / w];
+        };
+    }
+
+    // The version spelled out next to the finders, or null when neither copy is close enough to a real one
+    static readVersion(modules) {
+        const copies = QrCode.getVersionPositions(modules.length).map(positions => QrCode.readBits(modules, positions));
+        return QrCode.findClosest(copies, 7, QR_MAX_VERSION, version => QrCode.getVersionBits(version));
+    }
+
+    static readBits(modules, positions) {
+        return positions.reduce((bits, [x, y], i) => bits | (modules[y][x] ? 1 << i : 0), 0);
+    }
+
+    // The value from `first` to `last` whose bits differ least from either copy read - at most three bits off
+    static findClosest(copies, first, last, getBits) {
+        let best = null;
+        let bestDifference = 4;
+        for (let value = first; value <= last; value++) {
+            const bits = getBits(value);
+            copies.forEach(copy => {
+                let difference = 0;
+                for (let changed = copy ^ bits; changed; changed &= changed - 1) difference++;
+                if (difference < bestDifference) {
+                    best = value;
+                    bestDifference = difference;
+                }
+            });
+        }
+        return best;
+    }
+
+    // The text of a code from its modules (modules[y][x], true for dark), or null when it can't be read
+    static decodeModules(modules) {
+        const format = QrCode.findClosest(
+            QrCode.getFormatPositions(modules.length).map(positions => QrCode.readBits(modules, positions)),
+            0, 31, data => QrCode.getFormatBits(data)
+        );
+        if (format === null) return null;
+
+        const errorLevel = Object.keys(QR_ERROR_LEVELS).find(level => QR_ERROR_LEVELS[level].formatBits === format >> 3);
+        if (!errorLevel) return null;
+
+        // Lay the picture's modules over the fixed patterns for this version, then take the mask off
+        const code = Object.create(QrCode.prototype);
+        code.version = (modules.length - 17) / 4;
+        code.errorLevel = errorLevel;
+        code.size = modules.length;
+        code.modules = Array.from({ length: code.size }, () => new Array(code.size).fill(false));
+        code.isFunction = Array.from({ length: code.size }, () => new Array(code.size).fill(false));
+        code.drawFunctionPatterns();
+        code.modules = modules.map(row => [...row]);
+        code.mask = format & 7;
+        code.applyMask(code.mask);
+
+        const data = code.removeErrorCorrection(code.readCodewords());
+        return data ? QrCode.readSegments(data, code.version) : null;
+    }
+
+    readCodewords() {
+        const codewords = new Array(Math.floor(QrCode.getRawDataModules(this.version) / 8)).fill(0);
+        const positions = this.getDataPositions();
+        for (let bitIndex = 0; bitIndex < codewords.length * 8; bitIndex++) {
+            const [x, y] = positions[bitIndex];
+            if (this.modules[y][x]) codewords[bitIndex >>> 3] |= 1 << (7 - (bitIndex & 7));
+        }
+        return codewords;
+    }
+
+    // Undo addErrorCorrection(): take the blocks apart again, repair each and join their data.
+    // Returns null when a block is too damaged to repair.
+    removeErrorCorrection(codewords) {
+        const { ecLength, dataLengths } = this.getBlockLayout();
+        const blocks = dataLengths.map(() => []);
+
+        let offset = 0;
+        for (let i = 0; i < Math.max(...dataLengths); i++) {
+            blocks.forEach((block, b) => {
+                if (i < dataLengths[b]) block.push(codewords[offset++]);
+            });
+        }
+        for (let i = 0; i < ecLength; i++) {
+            blocks.forEach(block => block.push(codewords[offset++]));
+        }
+
+        const data = [];
+        for (let b = 0; b < blocks.length; b++) {
+            const corrected = QrCode.correctErrors(blocks[b], ecLength);
+            if (!corrected) return null;
+            data.push(...corrected.slice(0, dataLengths[b]));
+        }
+        return data;
+    }
+
+    // Powers of 2 in GF(2^8) and their logarithms, for dividing while repairing blocks
+    static getGaloisTables() {
+        if (!QrCode.galoisTables) {
+            const exp = new Array(512);
+            const log = new Array(256);
+            for (let i = 0, value = 1; i < 255; i++) {
+                exp[i] = value;
+                log[value] = i;
+                value = QrCode.multiply(value, 0x02);
+            }
+            for (let i = 255; i < 512; i++) exp[i] = exp[i - 255];
+            QrCode.galoisTables = { exp, log };
+        }
+        return QrCode.galoisTables;
+    }
+
+    // Repair a block of data and error correction bytes (Berlekamp-Massey to find the wrong bytes,
+    // then Forney's formula for their values). Returns null when there are more errors than it can fix.
+    static correctErrors(block, ecLength) {
+        const { exp, log } = QrCode.getGaloisTables();
+        const multiply = (x, y) => (x === 0 || y === 0 ? 0 : exp[log[x] + log[y]]);
+        const divide = (x, y) => (x === 0 ? 0 : exp[log[x] + 255 - log[y]]);
+        const evaluate = (poly, x) => poly.reduceRight((total, coefficient) => multiply(total, x) ^ coefficient, 0);
+
+        // The block read as a polynomial at each root of the generator - all zero when nothing is wrong
+        const syndromes = [];
+        for (let i = 0; i < ecLength; i++) {
+            syndromes.push(block.reduce((total, byte) => multiply(total, exp[i]) ^ byte, 0));
+        }
+        if (syndromes.every(syndrome => syndrome === 0)) return block;
+
+        // Polynomials here are lists of coefficients, lowest power first
+        let locator = [1];
+        let previous = [1];
+        let errors = 0;
+        let shift = 1;
+        let previousDiscrepancy = 1;
+        for (let n = 0; n < ecLength; n++) {
+            let discrepancy = syndromes[n];
+            for (let i = 1; i <= errors; i++) discrepancy ^= multiply(locator[i] || 0, syndromes[n - i]);
+            if (discrepancy === 0) {
+                shift++;
+                continue;
+            }
+
+            const factor = divide(discrepancy, previousDiscrepancy);
+            const next = [...locator];
+            previous.forEach((coefficient, i) => {
+                next[i + shift] = (next[i + shift] || 0) ^ multiply(factor, coefficient);
+            });
+            if (2 * errors <= n) {
+                errors = n + 1 - errors;
+                previous = locator;
+                previousDiscrepancy = discrepancy;
+                shift = 1;
+            } else {
+                shift++;
+            }
+            locator = next;
+        }
+        if (2 * errors > ecLength) return null;
+
+        // The first byte is the highest power, so byte k sits at power length - 1 - k
+        const positions = [];
+        block.forEach((byte, k) => {
+            const power = block.length - 1 - k;
+            if (evaluate(locator, exp[(255 - power) % 255]) === 0) positions.push(k);
+        });
+        if (positions.length !== errors) return null;
+
+        const evaluator = [];
+        for (let i = 0; i < ecLength; i++) {
+            let coefficient = 0;
+            for (let j = 0; j <= i; j++) coefficient ^= multiply(syndromes[j], locator[i - j] || 0);
+            evaluator.push(coefficient);
+        }
+        const derivative = locator.slice(1).map((coefficient, i) => (i % 2 === 0 ? coefficient : 0));
+
+        const corrected = [...block];
+        for (const k of positions) {
+            const power = block.length - 1 - k;
+            const inverse = exp[(255 - power) % 255];
+            const denominator = evaluate(derivative, inverse);
+            if (denominator === 0) return null;
+            corrected[k] ^= multiply(exp[power], divide(evaluate(evaluator, inverse), denominator));
+        }
+        return corrected;
+    }
+
+    // The text in a code's data bytes: a run of segments, each a mode, a length and the characters.
+    // Returns null for modes this app doesn't read (such as kanji).
+    static readSegments(data, version) {
+        let position = 0;
+        const readBits = length => {
+            let value = 0;
+            for (let i = 0; i < length; i++, position++) {
+                value = (value << 1) | ((data[position >>> 3] >>> (7 - (position & 7))) & 1);
+            }
+            return value;
+        };
+        const remaining = () => data.length * 8 - position;
+        const countBitsIndex = version < 10 ? 0 : version < 27 ? 1 : 2;
+
+        const bytes = [];
+        while (remaining() >= 4) {
+            const indicator = readBits(4);
+            if (indicator === 0) break;
+
+            if (indicator === QR_ECI_INDICATOR) {
+                const first = readBits(8);
+                if ((first & 0x80) !== 0) readBits((first & 0x40) === 0 ? 8 : 16);
+                continue;
+            }
+
+            const mode = Object.values(QR_MODES).find(item => item.indicator === indicator);
+            if (!mode) return null;
+            const count = readBits(mode.countBits[countBitsIndex]);
+
+            if (mode === QR_MODES.byte) {
+                if (remaining() < count * 8) return null;
+                for (let i = 0; i < count; i++) bytes.push(readBits(8));
+            } else if (mode === QR_MODES.alphanumeric) {
+                const charset = QR_ALPHANUMERIC_CHARSET.length;
+                let text = '';
+                for (let i = 0; i < count; i += 2) {
+                    const pair = i + 1 < count;
+                    const value = readBits(pair ? 11 : 6);
+                    if (value >= (pair ? charset * charset : charset)) return null;
+                    text += pair
+                        ? QR_ALPHANUMERIC_CHARSET[Math.floor(value / charset)] + QR_ALPHANUMERIC_CHARSET[value % charset]
+                        : QR_ALPHANUMERIC_CHARSET[value];
+                }
+                if (remaining() < 0) return null;
+                bytes.push(...new TextEncoder().encode(text));
+            } else {
+                // Numeric: three digits in 10 bits, and a last two in 7 or one in 4
+                let text = '';
+                for (let i = 0; i < count; i += 3) {
+                    const digits = Math.min(3, count - i);
+                    const value = readBits([4, 7, 10][digits - 1]);
+                    if (value >= 10 ** digits) return null;
+                    text += String(value).padStart(digits, '0');
+                }
+                if (remaining() < 0) return null;
+                bytes.push(...new TextEncoder().encode(text));
+            }
+        }
+
+        try {
+            return new TextDecoder('utf-8', { fatal: true }).decode(new Uint8Array(bytes));
+        } catch (error) {
+            return null;
+        }
+    }
+}
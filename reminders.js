@@ -0,0 +1,100 @@
+// Senior Medication App - Reminder Scheduler
+// Keeps at most one pending reminder per dose, so editing, deleting or reopening the app never stacks duplicates
+
+// Longest the scheduler waits before checking again. Browsers pause timers while the device
+// sleeps and a long timeout doesn't notice clock changes, so waits are kept short and due
+// times are compared with the clock each time.
+const REMINDER_CHECK_INTERVAL_MS = 60 * 1000;
+
+// How long a fired reminder is remembered, so it can't fire again
+const FIRED_REMINDER_MEMORY_MS = 2 * 24 * 60 * 60 * 1000;
+
+class ReminderScheduler {
+    // onDue(reminder) is called once for each reminder when its time comes
+    constructor(onDue) {
+        this.onDue = onDue;
+        this.pending = new Map(); // Next reminder for each dose, keyed by medication, day and time
+        this.fired = new Map();   // Reminders already shown, with their due times
+        this.timer = null;
+    }
+
+    doseKey(medicationId, date, time) {
+        return `${medicationId}|${date}|${time}`;
+    }
+
+    // Reminders are { profileId, medicationId, time, date, dueAt, attempt, snoozed }: dueAt is a timestamp in ms,
+    // attempt counts repeats (0 for the first reminder) and snoozed marks a "Remind Later".
+    // A new reminder for a dose replaces the pending one. Returns false if it has fired already.
+    schedule(reminder) {
+        const entry = { attempt: 0, snoozed: false, ...reminder };
+        const key = this.doseKey(entry.medicationId, entry.date, entry.time);
+
+        // Snoozes are asked for, so only repeats and first reminders are held to once per dose
+        if (!entry.snoozed && this.fired.has(`${key}#${entry.attempt}`)) return false;
+
+        this.pending.set(key, entry);
+        this.arm();
+        return true;
+    }
+
+    // Cancel every pending reminder for a medication, or only those for one of its times
+    cancel(medicationId, time) {
+        this.cancelWhere(reminder =>
+            reminder.medicationId === medicationId && (time === undefined || reminder.time === time)
+        );
+    }
+
+    cancelWhere(predicate) {
+        [...this.pending].forEach(([key, reminder]) => {
+            if (predicate(reminder)) this.pending.delete(key);
+        });
+        this.arm();
+    }
+
+    cancelAll() {
+        this.pending.clear();
+        this.arm();
+    }
+
+    getPending(medicationId) {
+        return [...this.pending.values()].filter(reminder => reminder.medicationId === medicationId);
+    }
+
+    // Fire every reminder that is due, then wait for the next one. Also called when the app
+    // wakes up, so a dose that came due while the device slept is reminded once, straight away.
+    tick() {
+        const now = Date.now();
+        const due = [...this.pending]
+            .filter(([, reminder]) => reminder.dueAt <= now)
+            .sort(([, a], [, b]) => a.dueAt - b.dueAt);
+
+        due.forEach(([key, reminder]) => {
+            // An earlier reminder's onDue may have replaced this one
+            if (this.pending.get(key) !== reminder) return;
+
+            this.pending.delete(key);
+            this.fired.set(`${key}#${reminder.attempt}`, reminder.dueAt);
+            try {
+                this.onDue(reminder);
+            } catch (error) {
+                console.error('Error showing reminder:', error);
+            }
+        });
+
+        this.fired.forEach((dueAt, key) => {
+            if (dueAt < now - FIRED_REMINDER_MEMORY_MS) this.fired.delete(key);
+        });
+
+        this.arm();
+    }
+
+    arm() {
+        clearTimeout(this.timer);
+        this.timer = null;
+        if (this.pending.size === 0) return;
+
+        const nextDueAt = Math.min(...[...this.pending.values()].map(reminder => reminder.dueAt));
+        const wait = Math.max(0, Math.min(nextDueAt - Date.now(), REMINDER_CHECK_INTERVAL_MS));
+        this.timer = setTimeout(() => this.tick(), wait);
+    }
+}
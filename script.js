@@ -1,20 +1,123 @@
 // Senior Medication App - Main Application Logic
 // Privacy-focused with local storage only
 
+// Version written into exported files; importData() upgrades anything older
+const EXPORT_VERSION = '2.2';
+
+// Marks a passphrase-protected backup file
+const ENCRYPTED_BACKUP_FORMAT = 'senior-med-tracker-encrypted';
+
+// Starts the text of a QR code made by this app (the rest is compressed JSON in Base45), and the layout of that JSON
+const QR_CODE_PREFIX = 'SMT1:';
+const QR_CODE_VERSION = 1;
+
+// Medication details copied into a QR code - pill counts and dates stay on this device, which keeps the code small
+const QR_MEDICATION_FIELDS = ['id', 'name', 'dose', 'type', 'times', 'schedule', 'minIntervalHours',
+    'maxDosesPer24h', 'graceMinutes', 'prescription'];
+
+// Days covered by the optional history summary in a QR code
+const QR_HISTORY_SUMMARY_DAYS = 30;
+
+// Longest side, in pixels, a photo is scaled down to before the app looks for a QR code in it
+const QR_SCAN_MAX_SIZE = 1600;
+
+// Periodic sync that lets the service worker show a "Remind Later" tapped while the app was closed (see sw.js)
+const SNOOZE_SYNC_TAG = 'medication-snoozes';
+const SNOOZE_SYNC_MINUTES = 15;
+
+// Caregiver PIN: how many digits it may have, how long one unlock lasts, and the pause after too many wrong tries
+const CAREGIVER_PIN_MIN_LENGTH = 4;
+const CAREGIVER_PIN_MAX_LENGTH = 8;
+const CAREGIVER_UNLOCK_MINUTES = 5;
+const CAREGIVER_PIN_MAX_TRIES = 5;
+const CAREGIVER_PIN_LOCKOUT_SECONDS = 30;
+
+// Changes kept in each person's change log (older ones are dropped), and how long the Undo button stays on screen.
+// Deleting, clearing and importing have a limit of their own, so everyday dose taps never push them out.
+const CHANGE_LOG_LIMIT = 200;
+const MAJOR_CHANGE_LOG_LIMIT = 50;
+const UNDO_TOAST_SECONDS = 8;
+
+// Collections saved record by record and kept in the change log, with what one and several records are called
+const LOGGED_COLLECTIONS = {
+    medications: ['medication', 'medications'],
+    history: ['history entry', 'history entries'],
+    journal: ['journal entry', 'journal entries']
+};
+
+// Side effects that can be noted on a dose or in the symptom journal, in everyday words
+const SIDE_EFFECTS = {
+    'dizzy': 'Dizzy or light-headed',
+    'sleepy': 'Sleepy or tired',
+    'upset-stomach': 'Upset stomach or feeling sick',
+    'headache': 'Headache',
+    'confused': 'Confused or forgetful',
+    'dry-mouth': 'Dry mouth',
+    'constipation': 'Constipation',
+    'diarrhea': 'Diarrhea',
+    'rash': 'Rash or itching',
+    'swelling': 'Swollen ankles or feet',
+    'cough': 'Cough',
+    'aches': 'Muscle aches',
+    'other': 'Something else'
+};
+
+// How bad a side effect was, from 1 to 5
+const SEVERITY_LABELS = {
+    1: 'Very mild',
+    2: 'Mild',
+    3: 'Moderate',
+    4: 'Bad',
+    5: 'Very bad'
+};
+
+// Refill reminders start this many days before the pills run out, unless set per medication
+const DEFAULT_REFILL_REMINDER_DAYS = 7;
+
+// Warn this many days before a prescription expires - time to book a doctor's visit
+const PRESCRIPTION_EXPIRY_WARNING_DAYS = 30;
+
+// Bundled interaction dataset, cached by the service worker so checks work offline
+const INTERACTIONS_URL = './interactions.json';
+
+// Dose forms and the words used for one or more of them. Counted forms come off the pill supply
+// by the dose's amount - for an inhaler, the puffs left on its counter. Drops aren't counted, so each dose counts as one.
+const DOSE_FORMS = {
+    tablet: { singular: 'tablet', plural: 'tablets', counted: true },
+    capsule: { singular: 'capsule', plural: 'capsules', counted: true },
+    drops: { singular: 'drop', plural: 'drops', counted: false },
+    injection: { singular: 'injection', plural: 'injections', counted: true },
+    inhaler: { singular: 'puff', plural: 'puffs', counted: true }
+};
+
+// Instructions that can be ticked on the medication form
+const DOSE_INSTRUCTIONS = {
+    'with-food': 'with food',
+    'empty-stomach': 'on an empty stomach',
+    'bedtime': 'at bedtime'
+};
+
 class MedicationApp {
     constructor() {
         this.medications = [];
         this.history = [];
-        this.settings = {
-            soundEnabled: true,
-            vibrationEnabled: true,
-            highContrast: false,
-            textSize: 'normal'
-        };
+        this.journal = []; // Symptom journal entries, one or more per day
+        this.changes = []; // Recent changes to medications, history and the journal with before/after snapshots, newest first
+        this.profiles = [];
+        this.activeProfileId = DEFAULT_PROFILE_ID; // Only this person's medications, history and settings are loaded
+        this.settings = this.getDefaultSettings();
+        this.clock = new ScheduleClock(() => this.settings); // Which day and time the schedule is on (see clock.js)
         
         this.currentScreen = 'loading-screen';
         this.notificationPermission = false;
         this.currentWeekOffset = 0; // 0 = this week, 1 = next week, -1 = last week
+        this.editingMedicationId = null; // Set while the medication form is editing an existing medication
+        this.reminders = new ReminderScheduler(reminder => this.handleDueReminder(reminder)); // Pending reminders, one per dose (see reminders.js)
+        this.caregiverPin = null; // Hashed PIN that guards medication changes, imports and settings, or null when there is none
+        this.caregiverUnlockedUntil = 0;
+        this.caregiverLockTimer = null;
+        this.pinFailures = 0;
+        this.pinRetryAt = 0;
         
         this.init();
     }
@@ -22,8 +125,13 @@ class MedicationApp {
     async init() {
         console.log('Initializing Senior Medication App...');
         
-        // Load data from localStorage
+        // Load data from the local database
         await this.loadData();
+        this.loadInteractionData();
+        
+        // Record doses nobody acted on while the app was closed
+        this.resolveMissedDoses();
+        this.scheduleDayRollover();
         
         // Apply saved settings
         this.applySettings();
@@ -36,6 +144,12 @@ class MedicationApp {
             try {
                 await navigator.serviceWorker.register('./sw.js');
                 console.log('Service Worker registered successfully');
+                
+                navigator.serviceWorker.addEventListener('message', (event) => {
+                    this.handleServiceWorkerMessage(event.data);
+                });
+                this.registerSnoozeSync();
+
             } catch (error) {
                 console.log('Service Worker registration failed:', error);
             }
@@ -48,20 +162,16 @@ class MedicationApp {
                 this.showScreen('main-menu');
                 
                 // Update date
-                const dateElement = document.getElementById('current-date');
-                if (dateElement) {
-                    const now = new Date();
-                    dateElement.textContent = now.toLocaleDateString('en-US', { 
-                        weekday: 'long', 
-                        year: 'numeric', 
-                        month: 'long', 
-                        day: 'numeric' 
-                    });
-                }
+                this.updateCurrentDate();
+                this.renderProfileSwitcher();
                 
                 // Render medications
                 this.renderMedications();
-                this.checkNotificationPermission();
+                this.checkNotificationPermission().then(() => {
+                    this.refreshReminders();
+                    this.restorePendingSnoozes();
+                    this.notifyPrescriptionWarnings();
+                });
                 
                 console.log('App fully loaded and ready');
             } catch (error) {
@@ -79,42 +189,202 @@ class MedicationApp {
         }, 2000);
     }
 
-    // Data Management - Local Storage Only
+    getDefaultSettings() {
+        return {
+            soundEnabled: true,
+            vibrationEnabled: true,
+            highContrast: false,
+            textSize: 'normal',
+            snoozeMinutes: 10,
+            repeatReminders: true,
+            repeatIntervalMinutes: 15,
+            maxReminderRepeats: 3,
+            travelMode: 'off',
+            homeTimeZone: null,
+            travelShiftHours: DEFAULT_TRAVEL_SHIFT_HOURS,
+            travelStartedAt: null
+        };
+    }
+
+    // Data Management - Local IndexedDB Only (see db.js)
     async loadData() {
         try {
-            const medicationsData = localStorage.getItem('seniorMed_medications');
-            const historyData = localStorage.getItem('seniorMed_history');
-            const settingsData = localStorage.getItem('seniorMed_settings');
-            
-            if (medicationsData) {
-                this.medications = JSON.parse(medicationsData);
-            }
+            this.store = await new MedicationStore().open();
+            this.store.onclose = () => this.showToast('The app was updated in another tab - please reload this page', 'info',
+                { label: 'Reload', onClick: () => location.reload() });
             
-            if (historyData) {
-                this.history = JSON.parse(historyData);
-            }
+            // First run after the move from localStorage
+            await this.store.migrateFromLocalStorage(localStorage);
             
-            if (settingsData) {
-                this.settings = { ...this.settings, ...JSON.parse(settingsData) };
-            }
+            this.profiles = await this.store.getAll('profiles');
+            const savedPin = await this.store.get('meta', 'caregiverPin');
+            this.caregiverPin = savedPin ? savedPin.value : null;
+            const savedProfile = await this.store.get('meta', 'activeProfile');
+            const profileId = savedProfile && this.profiles.some(profile => profile.id === savedProfile.value)
+                ? savedProfile.value
+                : this.profiles[0].id;
             
+            await this.loadProfile(profileId);
             console.log('Data loaded successfully');
         } catch (error) {
             console.error('Error loading data:', error);
+            this.store = null;
             this.showToast('Error loading saved data', 'error');
         }
     }
 
-    saveData() {
+    // Read one person's medications, history and settings - the profile on screen
+    async loadProfile(profileId) {
+        const [medications, history, journal, changes, savedSettings] = await Promise.all([
+            this.store.getProfileRecords('medications', profileId),
+            this.store.getProfileRecords('history', profileId),
+            this.store.getProfileRecords('journal', profileId),
+            this.store.getProfileRecords('changes', profileId),
+            this.store.getSettings(profileId)
+        ]);
+        
+        this.activeProfileId = profileId;
+        this.medications = medications;
+        this.history = history;
+        this.journal = journal;
+        this.changes = changes.sort((a, b) => b.changedAt.localeCompare(a.changedAt) || b.id.localeCompare(a.id));
+        this.settings = { ...this.getDefaultSettings(), ...savedSettings };
+        
+        // Home is wherever the app is first used, until changed in Settings
+        if (!this.settings.homeTimeZone) {
+            this.settings.homeTimeZone = this.clock.getDeviceTimeZone();
+        }
+        
+        Object.keys(LOGGED_COLLECTIONS).forEach(collection => this.rememberSavedRecords(collection));
+        
+        // Free-text dosages from before structured doses, and pills per dose from before they were the dose's amount
+        const outdated = this.medications.filter(medication => !medication.dose || 'pillsPerDose' in medication);
+        if (outdated.length > 0) {
+            outdated.forEach(medication => {
+                if (!medication.dose) this.migrateDosage(medication);
+                this.migratePillsPerDose(medication);
+            });
+            this.saveData();
+        }
+    }
+
+    // Only records that changed since the last save are written, so a tap never rewrites the whole history.
+    // Changes to medications, history or the journal also go into the change log under `description`; `details`
+    // adds fields to the logged change, such as the settings an import replaced. Returns the logged change, or null.
+    saveData(description = null, details = {}) {
+        if (!this.store) {
+            this.showToast('Error saving data', 'error');
+            return null;
+        }
+        
         try {
-            localStorage.setItem('seniorMed_medications', JSON.stringify(this.medications));
-            localStorage.setItem('seniorMed_history', JSON.stringify(this.history));
-            localStorage.setItem('seniorMed_settings', JSON.stringify(this.settings));
-            console.log('Data saved successfully');
+            const recordChanges = {};
+            Object.keys(LOGGED_COLLECTIONS).forEach(collection => {
+                recordChanges[collection] = this.collectChanges(collection);
+            });
+            const changeLog = this.logChange(description, recordChanges, details);
+            
+            const put = { changes: changeLog.put };
+            const deleted = { changes: changeLog.delete };
+            Object.entries(recordChanges).forEach(([collection, changes]) => {
+                put[collection] = changes.put;
+                deleted[collection] = changes.delete;
+            });
+            
+            this.store.applyChanges({
+                put,
+                delete: deleted,
+                settings: { [this.activeProfileId]: this.settings }
+            }).then(() => {
+                console.log('Data saved successfully');
+            }).catch(error => {
+                console.error('Error saving data:', error);
+                this.showToast('Error saving data', 'error');
+            });
+            return changeLog.change;
         } catch (error) {
             console.error('Error saving data:', error);
             this.showToast('Error saving data', 'error');
+            return null;
+        }
+    }
+
+    // Snapshot of each record as last written, used by saveData() to find what changed
+    rememberSavedRecords(collection) {
+        this.savedRecords = this.savedRecords || {};
+        this.savedRecords[collection] = new Map(
+            this[collection].map(record => [record.id, JSON.stringify(record)])
+        );
+    }
+
+    collectChanges(collection) {
+        const previous = this.savedRecords[collection];
+        const current = new Map(this[collection].map(record => [record.id, JSON.stringify(record)]));
+        
+        const put = this[collection].filter(record => previous.get(record.id) !== current.get(record.id));
+        const deleted = [...previous.keys()].filter(id => !current.has(id));
+        
+        // Each changed record as it was and as it is now - null where it didn't exist
+        const snapshots = [
+            ...put.map(record => ({
+                id: record.id,
+                before: previous.has(record.id) ? JSON.parse(previous.get(record.id)) : null,
+                after: JSON.parse(current.get(record.id))
+            })),
+            ...deleted.map(id => ({ id, before: JSON.parse(previous.get(id)), after: null }))
+        ];
+        
+        this.savedRecords[collection] = current;
+        return { put, delete: deleted, snapshots };
+    }
+
+    // Add a save that changed any logged records to the change log, dropping the oldest
+    // once it is full. Returns the change and the log records to write and delete.
+    logChange(description, recordChanges, details) {
+        const snapshots = {};
+        Object.entries(recordChanges).forEach(([collection, changes]) => {
+            snapshots[collection] = changes.snapshots;
+        });
+        if (Object.values(snapshots).every(records => records.length === 0)) {
+            return { change: null, put: [], delete: [] };
         }
+        
+        const change = {
+            id: this.generateId(),
+            profileId: this.activeProfileId,
+            changedAt: new Date().toISOString(),
+            description: description || this.describeChange(snapshots),
+            ...snapshots,
+            ...details
+        };
+        
+        this.changes.unshift(change);
+        const dropped = this.pruneChangeLog();
+        return { change, put: [change], delete: dropped.map(oldChange => oldChange.id) };
+    }
+
+    // Keep the latest routine changes and, apart from them, the latest major ones (marked `major`).
+    // Returns the changes dropped.
+    pruneChangeLog() {
+        const counts = { routine: 0, major: 0 };
+        const dropped = [];
+        
+        this.changes = this.changes.filter(change => {
+            const kind = change.major ? 'major' : 'routine';
+            const limit = change.major ? MAJOR_CHANGE_LOG_LIMIT : CHANGE_LOG_LIMIT;
+            if (++counts[kind] <= limit) return true;
+            dropped.push(change);
+            return false;
+        });
+        return dropped;
+    }
+
+    // Wording for a change saved without a description, e.g. "Changed 1 medication and 2 history entries"
+    describeChange(snapshots) {
+        const parts = Object.entries(LOGGED_COLLECTIONS)
+            .filter(([collection]) => snapshots[collection].length > 0)
+            .map(([collection, [singular, plural]]) => this.pluralize(snapshots[collection].length, singular, plural));
+        return `Changed ${parts.join(' and ')}`;
     }
 
     // Settings Management
@@ -145,11 +415,71 @@ class MedicationApp {
         const vibrationCheckbox = document.getElementById('vibration-enabled');
         const contrastCheckbox = document.getElementById('high-contrast');
         const textSizeSelect = document.getElementById('text-size');
+        const snoozeSelect = document.getElementById('snooze-minutes');
+        const repeatCheckbox = document.getElementById('repeat-reminders');
+        const repeatIntervalSelect = document.getElementById('repeat-interval');
+        const maxRepeatsSelect = document.getElementById('max-repeats');
         
         if (soundCheckbox) soundCheckbox.checked = this.settings.soundEnabled;
         if (vibrationCheckbox) vibrationCheckbox.checked = this.settings.vibrationEnabled;
         if (contrastCheckbox) contrastCheckbox.checked = this.settings.highContrast;
         if (textSizeSelect) textSizeSelect.value = this.settings.textSize;
+        if (snoozeSelect) snoozeSelect.value = this.settings.snoozeMinutes;
+        const snoozeClosedHelp = document.getElementById('snooze-closed-help');
+        if (snoozeClosedHelp) snoozeClosedHelp.hidden = this.canScheduleNotifications();
+        if (repeatCheckbox) repeatCheckbox.checked = this.settings.repeatReminders;
+        if (repeatIntervalSelect) {
+            repeatIntervalSelect.value = this.settings.repeatIntervalMinutes;
+            repeatIntervalSelect.disabled = !this.settings.repeatReminders;
+        }
+        if (maxRepeatsSelect) {
+            maxRepeatsSelect.value = this.settings.maxReminderRepeats;
+            maxRepeatsSelect.disabled = !this.settings.repeatReminders;
+        }
+        
+        const travelModeSelect = document.getElementById('travel-mode');
+        const homeZoneSelect = document.getElementById('home-time-zone');
+        const shiftHoursSelect = document.getElementById('travel-shift-hours');
+        const travelStatusText = document.getElementById('travel-status-text');
+        
+        if (travelModeSelect) travelModeSelect.value = this.clock.getTravelMode();
+        if (homeZoneSelect) {
+            this.fillTimeZoneOptions(homeZoneSelect);
+            homeZoneSelect.value = this.clock.getHomeTimeZone();
+        }
+        if (shiftHoursSelect) {
+            shiftHoursSelect.value = this.clock.getShiftHoursPerDay();
+            shiftHoursSelect.disabled = this.clock.getTravelMode() !== 'gradual';
+        }
+        if (travelStatusText) travelStatusText.textContent = this.clock.describeStatus();
+        
+        const profileName = document.getElementById('settings-profile-name');
+        const deleteProfileBtn = document.getElementById('delete-profile');
+        if (profileName) profileName.textContent = this.getActiveProfile().name;
+        if (deleteProfileBtn) deleteProfileBtn.hidden = this.profiles.length < 2;
+        
+        this.updateCaregiverPinSettings();
+    }
+
+    // Every time zone the browser knows, plus home and here in case the list isn't available
+    fillTimeZoneOptions(select) {
+        if (select.options.length > 0) return;
+        
+        const zones = typeof Intl.supportedValuesOf === 'function' ? Intl.supportedValuesOf('timeZone') : [];
+        const choices = new Set([...zones, this.clock.getHomeTimeZone(), this.clock.getDeviceTimeZone()]);
+        select.innerHTML = [...choices].sort().map(zone =>
+            `<option value="${this.escapeHtml(zone)}">${this.escapeHtml(zone.replace(/_/g, ' '))}</option>`
+        ).join('');
+    }
+
+    // A travel setting moved the schedule clock, so "today" and every reminder time are worked out again
+    applyTravelSettings() {
+        this.saveData();
+        this.updateSettingsForm();
+        this.updateCurrentDate();
+        this.scheduleDayRollover();
+        this.refreshReminders();
+        this.renderMedications();
     }
 
     // Emergency fallback to force show main menu
@@ -164,7 +494,7 @@ class MedicationApp {
         try {
             const dateElement = document.getElementById('current-date');
             if (dateElement) {
-                const now = new Date();
+                const now = this.clock.now();
                 dateElement.textContent = now.toLocaleDateString('en-US', { 
                     weekday: 'long', 
                     year: 'numeric', 
@@ -205,591 +535,4369 @@ class MedicationApp {
         }
     }
 
-    // Medication Management
-    addMedication(medicationData) {
-        const medication = {
-            id: Date.now().toString(),
-            name: medicationData.name.trim(),
-            dosage: medicationData.dosage.trim(),
-            timesPerDay: parseInt(medicationData.timesPerDay),
-            times: medicationData.times,
-            createdAt: new Date().toISOString(),
-            isActive: true
-        };
-        
-        this.medications.push(medication);
-        this.saveData();
-        this.renderMedications();
-        this.scheduleNotifications(medication);
-        
-        this.showToast(`Added ${medication.name} successfully`, 'success');
-        console.log('Medication added:', medication);
+    // Profiles - one set of medications, history and settings per person
+    getActiveProfile() {
+        return this.profiles.find(profile => profile.id === this.activeProfileId) ||
+            { id: this.activeProfileId, name: DEFAULT_PROFILE_NAME };
     }
 
-    deleteMedication(medicationId) {
-        this.showConfirmDialog(
-            'Delete Medication',
-            'Are you sure you want to delete this medication? This action cannot be undone.',
-            () => {
-                this.medications = this.medications.filter(med => med.id !== medicationId);
-                this.saveData();
-                this.renderMedications();
-                this.showToast('Medication deleted', 'success');
-            }
-        );
+    // "Mom's", or "your" for the first profile while it still has its default name
+    getProfilePossessive(profile = this.getActiveProfile()) {
+        return profile.name === DEFAULT_PROFILE_NAME ? 'your' : `${profile.name}'s`;
     }
 
-    // Medication Actions
-    markMedicationTaken(medicationId, time) {
-        console.log('=== markMedicationTaken called ===');
-        console.log('medicationId:', medicationId, 'time:', time);
-        this.recordMedicationAction(medicationId, 'taken', time);
-        console.log('=== About to refresh display ===');
-        this.renderTodaysSchedule(); // Refresh the display to hide taken medication
-        this.showToast('Marked as taken', 'success');
-        console.log('=== markMedicationTaken completed ===');
+    // Buttons on the main menu to switch person, shown once a second person has been added
+    renderProfileSwitcher() {
+        const container = document.getElementById('profile-switcher');
+        if (!container) return;
+        
+        container.hidden = this.profiles.length < 2;
+        container.innerHTML = this.profiles.map(profile => {
+            const isActive = profile.id === this.activeProfileId;
+            return `
+                <button class="profile-btn${isActive ? ' active' : ''}" aria-pressed="${isActive}"
+                        onclick="app.switchProfile('${profile.id}')">
+                    ${this.escapeHtml(profile.name)}
+                </button>
+            `;
+        }).join('');
     }
 
-    markMedicationMissed(medicationId, time) {
-        this.recordMedicationAction(medicationId, 'missed', time);
-        this.showToast('Marked as missed', 'error');
+    async switchProfile(profileId) {
+        if (profileId === this.activeProfileId || !this.store) return;
+        
+        try {
+            await this.loadProfile(profileId);
+            await this.store.put('meta', { key: 'activeProfile', value: profileId });
+        } catch (error) {
+            console.error('Error switching profile:', error);
+            this.showToast('Error loading saved data', 'error');
+            return;
+        }
+        
+        this.showActiveProfile();
+        this.showToast(`Showing ${this.getProfilePossessive()} medications`, 'success');
     }
 
-    markMedicationSkipped(medicationId, time) {
-        this.recordMedicationAction(medicationId, 'skipped', time);
-        this.showToast('Marked as skipped', 'success');
+    // Bring the screen, settings and day timers in line with the profile that was just loaded
+    showActiveProfile() {
+        this.resolveMissedDoses();
+        this.applySettings();
+        this.scheduleDayRollover();
+        this.updateCurrentDate();
+        this.renderProfileSwitcher();
+        this.renderMedications();
+        this.refreshReminders();
     }
 
-    recordMedicationAction(medicationId, action, time) {
-        const medication = this.medications.find(med => med.id === medicationId);
-        if (!medication) return;
-
-        const historyEntry = {
-            id: Date.now().toString(),
-            medicationId: medicationId,
-            medicationName: medication.name,
-            action: action,
-            scheduledTime: time,
-            actualTime: new Date().toISOString(),
-            date: new Date().toDateString()
-        };
+    addProfile() {
+        if (!this.checkCaregiverPin(() => this.addProfile())) return;
+        
+        this.requestProfileName('Add a Person', '', async (name) => {
+            const profile = { id: this.generateId(), name, createdAt: new Date().toISOString() };
+            await this.store.put('profiles', profile);
+            this.profiles.push(profile);
+            await this.switchProfile(profile.id);
+        });
+    }
 
-        console.log('Recording medication action:', historyEntry);
-        this.history.push(historyEntry);
-        this.saveData();
-        console.log('Updated history:', this.history);
+    renameProfile() {
+        if (!this.checkCaregiverPin(() => this.renameProfile())) return;
+        const profile = this.getActiveProfile();
         
-        // Update UI if on history screen
-        if (this.currentScreen === 'history') {
-            this.renderHistory();
-        }
+        this.requestProfileName('Change Name', profile.name, async (name) => {
+            await this.store.put('profiles', { ...profile, name });
+            profile.name = name;
+            this.renderProfileSwitcher();
+            this.updateSettingsForm();
+            this.showToast(`Name changed to ${name}`, 'success');
+        });
     }
 
-    // Notification Management
-    async checkNotificationPermission() {
-        if ('Notification' in window) {
-            const permission = await Notification.requestPermission();
-            this.notificationPermission = permission === 'granted';
-            
-            if (!this.notificationPermission) {
-                this.showNotificationModal();
+    deleteProfile() {
+        if (this.profiles.length < 2 || !this.checkCaregiverPin(() => this.deleteProfile())) return;
+        const profile = this.getActiveProfile();
+        
+        this.showConfirmDialog(
+            `Remove ${profile.name}`,
+            `Delete ${profile.name} and all of their medications, history and settings from this device? This cannot be undone.`,
+            async () => {
+                try {
+                    await this.store.deleteProfile(profile.id);
+                    this.profiles = this.profiles.filter(item => item.id !== profile.id);
+                    this.reminders.cancelWhere(reminder => reminder.profileId === profile.id);
+                    
+                    await this.loadProfile(this.profiles[0].id);
+                    await this.store.put('meta', { key: 'activeProfile', value: this.activeProfileId });
+                } catch (error) {
+                    console.error('Error removing profile:', error);
+                    this.showToast('Error saving data', 'error');
+                    return;
+                }
+                
+                this.showActiveProfile();
+                this.showToast(`${profile.name} removed`, 'success');
             }
-        }
+        );
     }
 
-    showNotificationModal() {
-        const modal = document.getElementById('notification-modal');
-        modal.setAttribute('aria-hidden', 'false');
+    // Ask for a person's name, keeping the dialog open until it is usable or cancelled
+    requestProfileName(title, currentName, onSave) {
+        if (!this.store) {
+            this.showToast('Error saving data', 'error');
+            return;
+        }
         
-        const enableBtn = document.getElementById('enable-notifications');
-        const skipBtn = document.getElementById('skip-notifications');
+        const modal = document.getElementById('profile-modal');
+        const input = document.getElementById('profile-name');
+        const errorEl = document.getElementById('profile-error');
+        const saveBtn = document.getElementById('profile-save');
         
-        enableBtn.onclick = async () => {
-            const permission = await Notification.requestPermission();
-            this.notificationPermission = permission === 'granted';
+        document.getElementById('profile-modal-title').textContent = title;
+        input.value = currentName;
+        errorEl.textContent = '';
+        modal.setAttribute('aria-hidden', 'false');
+        
+        const close = () => {
+            input.onkeydown = null;
             modal.setAttribute('aria-hidden', 'true');
+        };
+        
+        saveBtn.onclick = async () => {
+            const name = input.value.trim();
+            const taken = this.profiles.some(profile =>
+                profile.name.toLowerCase() === name.toLowerCase() && profile.name !== currentName
+            );
             
-            if (this.notificationPermission) {
-                this.showToast('Notifications enabled', 'success');
-            } else {
-                this.showToast('Notifications not enabled', 'error');
+            if (!name) {
+                errorEl.textContent = 'Please enter a name.';
+            } else if (taken) {
+                errorEl.textContent = `There is already someone called ${name}. Please use a different name.`;
+            }
+            if (!name || taken) {
+                input.focus();
+                return;
+            }
+            
+            close();
+            try {
+                await onSave(name);
+            } catch (error) {
+                console.error('Error saving profile:', error);
+                this.showToast('Error saving data', 'error');
             }
         };
         
-        skipBtn.onclick = () => {
-            modal.setAttribute('aria-hidden', 'true');
+        input.onkeydown = (e) => {
+            if (e.key === 'Enter') saveBtn.click();
         };
+        
+        document.getElementById('profile-cancel').onclick = close;
+        
+        input.focus();
     }
 
-    scheduleNotifications(medication) {
-        if (!this.notificationPermission) return;
-        
-        medication.times.forEach(time => {
-            this.scheduleNotificationForTime(medication, time);
-        });
+    // Caregiver PIN - an optional lock on changing medications, importing, clearing data and settings.
+    // It is kept for the whole device, hashed with PBKDF2. Marking doses never asks for it.
+    isCaregiverLocked() {
+        return !!this.caregiverPin && Date.now() >= this.caregiverUnlockedUntil;
     }
 
-    scheduleNotificationForTime(medication, time) {
-        const [hours, minutes] = time.split(':').map(Number);
-        const now = new Date();
-        const scheduledTime = new Date();
-        scheduledTime.setHours(hours, minutes, 0, 0);
-        
-        // If time has passed today, schedule for tomorrow
-        if (scheduledTime <= now) {
-            scheduledTime.setDate(scheduledTime.getDate() + 1);
+    // True when the action can go ahead now. Otherwise asks for the PIN and calls retry() once it is entered.
+    checkCaregiverPin(retry) {
+        if (!this.isCaregiverLocked()) {
+            // Each change keeps an unlock going, so a caregiver isn't asked again halfway through
+            if (this.caregiverPin) this.unlockCaregiver();
+            return true;
         }
         
-        const timeUntilNotification = scheduledTime.getTime() - now.getTime();
-        
-        setTimeout(() => {
-            this.showMedicationNotification(medication, time);
-            // Schedule for next day
-            this.scheduleNotificationForTime(medication, time);
-        }, timeUntilNotification);
+        this.requestCaregiverPin(retry);
+        return false;
     }
 
-    showMedicationNotification(medication, time) {
-        if (!this.notificationPermission) return;
+    unlockCaregiver() {
+        this.caregiverUnlockedUntil = Date.now() + CAREGIVER_UNLOCK_MINUTES * 60 * 1000;
+        clearTimeout(this.caregiverLockTimer);
+        this.caregiverLockTimer = setTimeout(() => this.lockCaregiver(), CAREGIVER_UNLOCK_MINUTES * 60 * 1000);
+        this.updateCaregiverPinSettings();
+    }
+
+    lockCaregiver() {
+        this.caregiverUnlockedUntil = 0;
+        clearTimeout(this.caregiverLockTimer);
+        this.caregiverLockTimer = null;
+        this.updateCaregiverPinSettings();
+    }
+
+    async hashCaregiverPin(pin, salt, iterations) {
+        const pinKey = await crypto.subtle.importKey('raw', new TextEncoder().encode(pin), 'PBKDF2', false, ['deriveBits']);
+        const bits = await crypto.subtle.deriveBits({ name: 'PBKDF2', salt, iterations, hash: 'SHA-256' }, pinKey, 256);
+        return this.bytesToBase64(new Uint8Array(bits));
+    }
+
+    async verifyCaregiverPin(pin) {
+        const { salt, iterations, hash } = this.caregiverPin;
+        return await this.hashCaregiverPin(pin, this.base64ToBytes(salt), iterations) === hash;
+    }
+
+    isValidPin(pin) {
+        return new RegExp(`^\\d{${CAREGIVER_PIN_MIN_LENGTH},${CAREGIVER_PIN_MAX_LENGTH}}$`).test(pin);
+    }
+
+    // Ask for the PIN, keeping the dialog open until it is right or cancelled. After several wrong
+    // tries there is a short wait, so guessing takes a long time.
+    requestCaregiverPin(onUnlocked) {
+        const modal = document.getElementById('pin-modal');
+        const input = document.getElementById('pin-input');
+        const confirmFields = document.getElementById('pin-confirm-fields');
+        const errorEl = document.getElementById('pin-error');
+        const submitBtn = document.getElementById('pin-submit');
         
-        const notification = new Notification(`Time for ${medication.name}`, {
-            body: `Take your ${medication.dosage || ''} ${medication.name} now`,
-            icon: 'data:image/svg+xml,<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" fill="%231565C0"><path d="M19 8h-2v3h-3v2h3v3h2v-3h3v-2h-3V8zM4 6h5v2H4V6zm0 4h5v2H4v-2zm0 4h5v2H4v-2z"/></svg>',
-            requireInteraction: true,
-            tag: `medication-${medication.id}-${time}`
-        });
+        document.getElementById('pin-title').textContent = 'Caregiver PIN Needed';
+        document.getElementById('pin-message').textContent = 'A caregiver has locked changes to medications and settings. Please enter the PIN.';
+        submitBtn.textContent = 'Unlock';
+        confirmFields.hidden = true;
+        input.value = '';
+        errorEl.textContent = '';
+        modal.setAttribute('aria-hidden', 'false');
         
-        // Play sound if enabled
-        if (this.settings.soundEnabled) {
-            this.playNotificationSound();
-        }
+        const close = () => {
+            input.onkeydown = null;
+            input.value = '';
+            modal.setAttribute('aria-hidden', 'true');
+        };
         
-        // Vibrate if enabled and supported
-        if (this.settings.vibrationEnabled && 'vibrate' in navigator) {
-            navigator.vibrate([200, 100, 200]);
-        }
+        submitBtn.onclick = async () => {
+            const waitSeconds = Math.ceil((this.pinRetryAt - Date.now()) / 1000);
+            if (waitSeconds > 0) {
+                errorEl.textContent = `Too many wrong tries. Please wait ${this.pluralize(waitSeconds, 'second')} and try again.`;
+                return;
+            }
+            
+            if (!(await this.verifyCaregiverPin(input.value))) {
+                this.pinFailures++;
+                if (this.pinFailures >= CAREGIVER_PIN_MAX_TRIES) {
+                    this.pinFailures = 0;
+                    this.pinRetryAt = Date.now() + CAREGIVER_PIN_LOCKOUT_SECONDS * 1000;
+                    errorEl.textContent = `Too many wrong tries. Please wait ${CAREGIVER_PIN_LOCKOUT_SECONDS} seconds and try again.`;
+                } else {
+                    errorEl.textContent = 'That PIN is not right. Please try again.';
+                }
+                input.value = '';
+                input.focus();
+                return;
+            }
+            
+            this.pinFailures = 0;
+            close();
+            this.unlockCaregiver();
+            onUnlocked();
+        };
         
-        notification.onclick = () => {
-            window.focus();
+        input.onkeydown = (e) => {
+            if (e.key === 'Enter') submitBtn.click();
+        };
+        
+        document.getElementById('pin-cancel').onclick = close;
+        
+        input.focus();
+    }
+
+    // Turning the PIN on or changing it needs the current one first
+    setCaregiverPin() {
+        if (!this.checkCaregiverPin(() => this.setCaregiverPin())) return;
+        if (!this.store) {
+            this.showToast('Error saving data', 'error');
+            return;
+        }
+        
+        const modal = document.getElementById('pin-modal');
+        const input = document.getElementById('pin-input');
+        const confirmInput = document.getElementById('pin-confirm');
+        const errorEl = document.getElementById('pin-error');
+        const submitBtn = document.getElementById('pin-submit');
+        const isChange = !!this.caregiverPin;
+        
+        document.getElementById('pin-title').textContent = isChange ? 'Change Caregiver PIN' : 'Set a Caregiver PIN';
+        document.getElementById('pin-message').textContent = `Choose ${CAREGIVER_PIN_MIN_LENGTH} to ${CAREGIVER_PIN_MAX_LENGTH} numbers. Keep the PIN somewhere safe - it cannot be recovered if it is forgotten.`;
+        submitBtn.textContent = 'Save PIN';
+        document.getElementById('pin-confirm-fields').hidden = false;
+        input.value = '';
+        confirmInput.value = '';
+        errorEl.textContent = '';
+        modal.setAttribute('aria-hidden', 'false');
+        
+        const close = () => {
+            input.value = '';
+            confirmInput.value = '';
+            modal.setAttribute('aria-hidden', 'true');
+        };
+        
+        submitBtn.onclick = async () => {
+            const pin = input.value;
+            if (!this.isValidPin(pin)) {
+                errorEl.textContent = `Please use ${CAREGIVER_PIN_MIN_LENGTH} to ${CAREGIVER_PIN_MAX_LENGTH} numbers.`;
+                input.focus();
+                return;
+            }
+            if (pin !== confirmInput.value) {
+                errorEl.textContent = 'The two PINs do not match. Please type them again.';
+                confirmInput.focus();
+                return;
+            }
+            
+            try {
+                const salt = crypto.getRandomValues(new Uint8Array(16));
+                const iterations = 100000;
+                const caregiverPin = { salt: this.bytesToBase64(salt), iterations, hash: await this.hashCaregiverPin(pin, salt, iterations) };
+                await this.store.put('meta', { key: 'caregiverPin', value: caregiverPin });
+                this.caregiverPin = caregiverPin;
+            } catch (error) {
+                console.error('Error saving caregiver PIN:', error);
+                this.showToast('Error saving data', 'error');
+                return;
+            }
+            
+            close();
+            this.unlockCaregiver();
+            this.showToast(isChange ? 'Caregiver PIN changed' : 'Caregiver PIN turned on', 'success');
+        };
+        
+        document.getElementById('pin-cancel').onclick = close;
+        
+        input.focus();
+    }
+
+    removeCaregiverPin() {
+        if (!this.caregiverPin || !this.checkCaregiverPin(() => this.removeCaregiverPin())) return;
+        
+        this.showConfirmDialog(
+            'Turn Off Caregiver PIN',
+            'Anyone using this device will be able to change medications and settings without a PIN. Turn it off?',
+            async () => {
+                try {
+                    await this.store.delete('meta', 'caregiverPin');
+                } catch (error) {
+                    console.error('Error removing caregiver PIN:', error);
+                    this.showToast('Error saving data', 'error');
+                    return;
+                }
+                
+                this.caregiverPin = null;
+                this.lockCaregiver();
+                this.showToast('Caregiver PIN turned off', 'success');
+            }
+        );
+    }
+
+    // The Caregiver PIN part of Settings says whether changes are locked right now
+    updateCaregiverPinSettings() {
+        const status = document.getElementById('pin-status');
+        if (!status) return;
+        
+        const locked = this.isCaregiverLocked();
+        status.textContent = !this.caregiverPin
+            ? 'No PIN is set. Anyone using this device can change medications and settings.'
+            : locked
+                ? 'Locked. Changing medications, importing, clearing data and settings need the PIN. Marking doses as taken does not.'
+                : `Unlocked for now. Changes will lock again ${CAREGIVER_UNLOCK_MINUTES} minutes after the last one, or when the app is closed.`;
+        document.getElementById('set-pin-label').textContent = this.caregiverPin ? 'Change PIN' : 'Set a PIN';
+        document.getElementById('remove-pin').hidden = !this.caregiverPin;
+        document.getElementById('lock-now').hidden = !this.caregiverPin || locked;
+    }
+
+    // Time-based ids, nudged forward so records created in the same millisecond stay unique
+    generateId() {
+        const id = Math.max(Date.now(), (this.lastGeneratedId || 0) + 1);
+        this.lastGeneratedId = id;
+        return id.toString();
+    }
+
+    // Medication Management
+    addMedication(medicationData) {
+        const medication = {
+            id: this.generateId(),
+            profileId: this.activeProfileId,
+            name: medicationData.name.trim(),
+            dose: medicationData.dose,
+            type: medicationData.type || 'scheduled',
+            timesPerDay: parseInt(medicationData.timesPerDay),
+            times: medicationData.times,
+            schedule: medicationData.schedule,
+            minIntervalHours: medicationData.minIntervalHours,
+            maxDosesPer24h: medicationData.maxDosesPer24h,
+            graceMinutes: medicationData.graceMinutes,
+            pillsOnHand: medicationData.pillsOnHand,
+            refillReminderDays: medicationData.refillReminderDays,
+            prescription: medicationData.prescription,
+            createdAt: new Date().toISOString(),
+            isActive: true
+        };
+        
+        this.medications.push(medication);
+        this.saveData(`Added ${medication.name}`);
+        this.renderMedications();
+        this.scheduleNotifications(medication);
+        
+        this.showToast(`Added ${medication.name} successfully`, 'success');
+        console.log('Medication added:', medication);
+    }
+
+    updateMedication(medicationId, medicationData) {
+        const medication = this.medications.find(med => med.id === medicationId);
+        if (!medication) return;
+        
+        // More pills on hand than before means a refill was picked up, which uses up one of the
+        // prescription's refills - unless the refills left were changed by hand at the same time
+        const refilled = this.isTrackingPills(medication) &&
+            typeof medicationData.pillsOnHand === 'number' &&
+            medicationData.pillsOnHand > medication.pillsOnHand;
+        const refillsBefore = medication.prescription ? medication.prescription.refillsLeft : null;
+        const prescription = medicationData.prescription;
+        const usedRefill = refilled && prescription &&
+            typeof prescription.refillsLeft === 'number' &&
+            prescription.refillsLeft === refillsBefore && prescription.refillsLeft > 0;
+        if (usedRefill) prescription.refillsLeft--;
+        
+        if (JSON.stringify(medicationData.times) !== JSON.stringify(medication.times)) {
+            this.recordTimesChange(medication, medicationData.times);
+        }
+        
+        // Update in place so the id - and every history entry pointing at it - stays the same
+        medication.name = medicationData.name.trim();
+        medication.dose = medicationData.dose;
+        medication.type = medicationData.type || 'scheduled';
+        medication.timesPerDay = parseInt(medicationData.timesPerDay);
+        medication.times = medicationData.times;
+        medication.schedule = medicationData.schedule;
+        medication.minIntervalHours = medicationData.minIntervalHours;
+        medication.maxDosesPer24h = medicationData.maxDosesPer24h;
+        medication.graceMinutes = medicationData.graceMinutes;
+        medication.pillsOnHand = medicationData.pillsOnHand;
+        medication.refillReminderDays = medicationData.refillReminderDays;
+        medication.prescription = medicationData.prescription;
+        medication.updatedAt = new Date().toISOString();
+        
+        this.saveData(`Changed ${medication.name}`);
+        this.renderMedications();
+        this.rescheduleNotifications(medication);
+        
+        this.showToast(usedRefill
+            ? `Updated ${medication.name} - ${this.pluralize(prescription.refillsLeft, 'refill')} left`
+            : `Updated ${medication.name} successfully`, 'success');
+        console.log('Medication updated:', medication);
+    }
+
+    // New times apply from today on. Earlier days keep the times they had, kept in `timesHistory`
+    // as { from, times } with `from` a YYYY-MM-DD schedule day (null for the times it started with).
+    recordTimesChange(medication, times) {
+        const today = this.toDateInputValue(this.clock.now());
+        const timesHistory = medication.timesHistory || [{ from: null, times: [...(medication.times || [])] }];
+        
+        // A second change on the same day replaces the first
+        medication.timesHistory = [
+            ...timesHistory.filter(period => period.from !== today),
+            { from: today, times: [...times] }
+        ];
+    }
+
+    // The times a medication was due on a day
+    getTimesOn(medication, date) {
+        if (!medication.timesHistory) return medication.times;
+        
+        const day = this.toDateInputValue(date);
+        const period = medication.timesHistory
+            .filter(period => !period.from || period.from <= day)
+            .pop();
+        return period ? period.times : medication.times;
+    }
+
+    pauseMedication(medicationId) {
+        if (!this.checkCaregiverPin(() => this.pauseMedication(medicationId))) return;
+        const medication = this.medications.find(med => med.id === medicationId);
+        if (!medication) return;
+        
+        medication.isActive = false;
+        medication.pausedAt = new Date().toISOString();
+        this.startPausedPeriod(medication, 'paused', medication.pausedAt);
+        
+        this.saveData(`Paused ${medication.name}`);
+        this.cancelNotifications(medication.id);
+        this.renderMedications();
+        this.renderManageMedications();
+        this.showToast(`${medication.name} paused - no reminders until resumed`, 'success');
+    }
+
+    resumeMedication(medicationId) {
+        if (!this.checkCaregiverPin(() => this.resumeMedication(medicationId))) return;
+        const medication = this.medications.find(med => med.id === medicationId);
+        if (!medication) return;
+        
+        medication.isActive = true;
+        medication.resumedAt = new Date().toISOString();
+        this.endPausedPeriod(medication, 'paused', medication.pausedAt, medication.resumedAt);
+        medication.pausedAt = null;
+        
+        this.saveData(`Resumed ${medication.name}`);
+        this.rescheduleNotifications(medication);
+        this.renderMedications();
+        this.renderManageMedications();
+        this.showToast(`${medication.name} resumed`, 'success');
+    }
+
+    archiveMedication(medicationId) {
+        if (!this.checkCaregiverPin(() => this.archiveMedication(medicationId))) return;
+        const medication = this.medications.find(med => med.id === medicationId);
+        if (!medication) return;
+        
+        this.showConfirmDialog(
+            'Archive Medication',
+            `Stop taking ${medication.name}? It will be removed from your schedule, but its history will be kept.`,
+            () => {
+                medication.archived = true;
+                medication.archivedAt = new Date().toISOString();
+                this.startPausedPeriod(medication, 'archived', medication.archivedAt);
+                
+                this.saveData(`Archived ${medication.name}`);
+                this.cancelNotifications(medication.id);
+                this.renderMedications();
+                this.renderManageMedications();
+                this.showToast(`${medication.name} archived`, 'success');
+            }
+        );
+    }
+
+    restoreMedication(medicationId) {
+        if (!this.checkCaregiverPin(() => this.restoreMedication(medicationId))) return;
+        const medication = this.medications.find(med => med.id === medicationId);
+        if (!medication) return;
+        
+        medication.archived = false;
+        this.endPausedPeriod(medication, 'archived', medication.archivedAt, new Date().toISOString());
+        medication.archivedAt = null;
+        
+        this.saveData(`Restored ${medication.name}`);
+        this.rescheduleNotifications(medication);
+        this.renderMedications();
+        this.renderManageMedications();
+        this.showToast(`${medication.name} restored`, 'success');
+    }
+
+    // Paused and archived periods are kept in `pauses`, so doses in them don't count as
+    // missed once the medication is back (see AdherenceStats.getPausedPeriods)
+    startPausedPeriod(medication, reason, from) {
+        medication.pauses = [...(medication.pauses || []), { reason, from, to: null }];
+    }
+
+    endPausedPeriod(medication, reason, since, to) {
+        const pauses = medication.pauses || [];
+        const open = pauses.find(pause => pause.reason === reason && !pause.to);
+        
+        // Paused or archived before periods were kept, so only the start is known
+        if (!open) {
+            if (since) medication.pauses = [...pauses, { reason, from: since, to }];
+            return;
+        }
+        medication.pauses = pauses.map(pause => pause === open ? { ...pause, to } : pause);
+    }
+
+    deleteMedication(medicationId) {
+        if (!this.checkCaregiverPin(() => this.deleteMedication(medicationId))) return;
+        const medication = this.medications.find(med => med.id === medicationId);
+        if (!medication) return;
+        
+        this.showConfirmDialog(
+            'Delete Medication',
+            `Are you sure you want to delete ${medication.name}? You can undo this from Recent Changes in Settings.`,
+            () => {
+                this.medications = this.medications.filter(med => med.id !== medicationId);
+                this.cancelNotifications(medicationId);
+                const change = this.saveData(`Deleted ${medication.name}`, { major: true });
+                this.renderMedications();
+                this.renderManageMedications();
+                this.showUndoToast('Medication deleted', change);
+            }
+        );
+    }
+
+    // Paused and archived medications keep their history but are left out of schedules and reminders
+    isMedicationActive(medication) {
+        return medication.isActive !== false && !medication.archived;
+    }
+
+    getActiveMedications() {
+        return this.medications.filter(medication => this.isMedicationActive(medication));
+    }
+
+    // As-needed (PRN) medications have no fixed times, so they never count towards schedules or adherence
+    isAsNeeded(medication) {
+        return medication.type === 'prn';
+    }
+
+    // Schedule Rules
+    // medication.schedule = { type, daysOfWeek, intervalDays, cycleDaysOn, cycleDaysOff, startDate, endDate }
+    // type is 'daily', 'weekdays', 'interval' or 'cycle'; dates are 'YYYY-MM-DD' strings.
+    // Medications saved before schedules existed have no schedule and are taken every day.
+    isMedicationScheduledOn(medication, date) {
+        if (this.isAsNeeded(medication)) return false;
+
+        const schedule = medication.schedule;
+        if (!schedule) return true;
+
+        const day = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+        const startDate = schedule.startDate ? this.parseDateInput(schedule.startDate) : null;
+        const endDate = schedule.endDate ? this.parseDateInput(schedule.endDate) : null;
+
+        if (startDate && day < startDate) return false;
+        if (endDate && day > endDate) return false;
+
+        const daysSinceStart = startDate ? this.daysBetween(startDate, day) : 0;
+
+        switch (schedule.type) {
+            case 'weekdays':
+                return (schedule.daysOfWeek || []).includes(day.getDay());
+            case 'interval':
+                return daysSinceStart % (schedule.intervalDays || 1) === 0;
+            case 'cycle': {
+                const cycleLength = (schedule.cycleDaysOn || 1) + (schedule.cycleDaysOff || 0);
+                return daysSinceStart % cycleLength < (schedule.cycleDaysOn || 1);
+            }
+            default:
+                return true;
+        }
+    }
+
+    getMedicationsScheduledOn(date) {
+        return this.getActiveMedications().filter(medication => this.isMedicationScheduledOn(medication, date));
+    }
+
+    // Doses - strength, form, amount per dose and instructions, e.g. "Take 2 tablets (10 mg each) with food"
+    // How much to take, e.g. "2 tablets (10 mg each)" - or the old free text if it couldn't be converted
+    describeDose(medication) {
+        const dose = medication.dose;
+        if (!dose) return '';
+
+        const form = DOSE_FORMS[dose.form];
+        const amount = dose.amount || 1;
+        const strength = dose.strength ? `${dose.strength} ${dose.unit || ''}`.trim() : '';
+
+        if (form && strength) {
+            return `${this.pluralize(amount, form.singular, form.plural)} (${strength}${amount === 1 ? '' : ' each'})`;
+        }
+        if (form) return this.pluralize(amount, form.singular, form.plural);
+        if (strength) return strength;
+        return dose.notes || '';
+    }
+
+    // The full instruction shown on cards, in the weekly view and in reminders
+    describeDoseInstruction(medication) {
+        const dose = medication.dose;
+        if (!dose) return '';
+
+        const hasStructuredDose = !!(DOSE_FORMS[dose.form] || dose.strength);
+        const instructions = (dose.instructions || []).map(key => DOSE_INSTRUCTIONS[key]).filter(Boolean);
+        const parts = [];
+
+        if (hasStructuredDose) {
+            parts.push(`Take ${this.describeDose(medication)}`);
+        } else if (instructions.length > 0) {
+            parts.push('Take it');
+        }
+        if (instructions.length > 0) {
+            parts[0] += ` ${instructions.join(', ')}`;
+        }
+        if (dose.notes) {
+            parts.push(dose.notes);
+        }
+
+        return parts.join('. ');
+    }
+
+    // Turn an old free-text dosage such as "10mg" or "2 tablets with food" into a structured dose.
+    // Text that can't be read completely is kept word for word in the notes so nothing is lost.
+    migrateDosage(medication) {
+        const text = (medication.dosage || '').trim();
+        const emptyDose = { strength: null, unit: 'mg', form: '', amount: 1, instructions: [], notes: '' };
+        const dose = { ...emptyDose, instructions: [] };
+        let rest = text.toLowerCase();
+
+        const strengthMatch = rest.match(/(\d+(?:\.\d+)?)\s*(mg|mcg|µg|g|ml|units?|iu|%)(?![a-z])/);
+        if (strengthMatch) {
+            dose.strength = parseFloat(strengthMatch[1]);
+            dose.unit = { 'µg': 'mcg', unit: 'units', iu: 'units' }[strengthMatch[2]] || strengthMatch[2];
+            rest = rest.replace(strengthMatch[0], ' ');
+        }
+
+        const forms = { tablet: /tablets?|tabs?|pills?/, capsule: /capsules?|caps?/, drops: /drops?/, injection: /injections?|shots?/, inhaler: /puffs?|inhal\w*/ };
+        Object.entries(forms).some(([form, pattern]) => {
+            const formMatch = rest.match(new RegExp(`(?:(\\d+(?:\\.\\d+)?)\\s*)?\\b(?:${pattern.source})\\b`));
+            if (!formMatch) return false;
+            dose.form = form;
+            dose.amount = formMatch[1] ? parseFloat(formMatch[1]) : 1;
+            rest = rest.replace(formMatch[0], ' ');
+            return true;
+        });
+
+        const instructions = { 'with-food': /with (?:food|meals?)/, 'empty-stomach': /(?:on an? )?empty stomach/, 'bedtime': /(?:at )?bedtime/ };
+        Object.entries(instructions).forEach(([key, pattern]) => {
+            if (pattern.test(rest)) {
+                dose.instructions.push(key);
+                rest = rest.replace(pattern, ' ');
+            }
+        });
+
+        // If anything is left that we don't understand, keep the original wording rather than guess
+        const understood = rest.replace(/[\s,.;:+&-]|\band\b|\beach\b|\bof\b/g, '') === '';
+        medication.dose = understood ? dose : { ...emptyDose, notes: text };
+        delete medication.dosage;
+        return medication;
+    }
+
+    // Pills per dose used to be asked for apart from the dose, so the supply could drift from the label.
+    // An amount still at 1 was never filled in, so the pill count is moved into it.
+    migratePillsPerDose(medication) {
+        const pillsPerDose = medication.pillsPerDose;
+        delete medication.pillsPerDose;
+
+        const dose = medication.dose;
+        const form = dose && DOSE_FORMS[dose.form];
+        if (!dose || !(pillsPerDose > 0) || (form && !form.counted)) return medication;
+        if (!dose.amount || dose.amount === 1) {
+            medication.dose = { ...dose, amount: pillsPerDose };
+        }
+        return medication;
+    }
+
+    describeSchedule(medication) {
+        if (this.isAsNeeded(medication)) {
+            return `As needed - at least ${medication.minIntervalHours} hours apart, up to ${medication.maxDosesPer24h} times a day`;
+        }
+
+        const schedule = medication.schedule;
+        if (!schedule) return 'Every day';
+
+        const dayNames = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+        let description;
+
+        switch (schedule.type) {
+            case 'weekdays':
+                description = (schedule.daysOfWeek || []).map(day => dayNames[day]).join(', ');
+                break;
+            case 'interval':
+                description = schedule.intervalDays === 2 ? 'Every other day' : `Every ${schedule.intervalDays} days`;
+                break;
+            case 'cycle':
+                description = `${schedule.cycleDaysOn} days on, ${schedule.cycleDaysOff} days off`;
+                break;
+            default:
+                description = 'Every day';
+        }
+
+        if (schedule.endDate) {
+            description += ` until ${this.parseDateInput(schedule.endDate).toLocaleDateString('en-US', { month: 'short', day: 'numeric' })}`;
+        }
+
+        return description;
+    }
+
+    // Medication Actions
+    markMedicationTaken(medicationId, time) {
+        console.log('=== markMedicationTaken called ===');
+        console.log('medicationId:', medicationId, 'time:', time);
+        this.recordMedicationAction(medicationId, 'taken', time);
+        console.log('=== About to refresh display ===');
+        this.renderTodaysSchedule(); // Refresh the display to hide taken medication
+        this.showToast('Marked as taken', 'success');
+        console.log('=== markMedicationTaken completed ===');
+    }
+
+    markMedicationMissed(medicationId, time) {
+        this.recordMedicationAction(medicationId, 'missed', time);
+        this.showToast('Marked as missed', 'error');
+    }
+
+    markMedicationSkipped(medicationId, time) {
+        this.recordMedicationAction(medicationId, 'skipped', time);
+        this.showToast('Marked as skipped', 'success');
+    }
+
+    recordMedicationAction(medicationId, action, time) {
+        const medication = this.medications.find(med => med.id === medicationId);
+        if (!medication) return;
+
+        const historyEntry = this.createHistoryEntry(medication, action, time, this.clock.now());
+        
+        if (action === 'taken') {
+            this.usePills(medication, historyEntry);
+        }
+        
+        // Taking or skipping a dose late replaces the missed entry recorded for it automatically
+        if (action !== 'missed' && time) {
+            const today = historyEntry.date;
+            this.history = this.history.filter(entry => !(
+                entry.autoDetected &&
+                entry.medicationId === medicationId &&
+                entry.scheduledTime === time &&
+                entry.date === today
+            ));
+        }
+
+        console.log('Recording medication action:', historyEntry);
+        this.history.push(historyEntry);
+        this.saveData(`Marked ${medication.name} as ${action}`);
+        
+        // The dose is handled, so stop any snoozed or repeating reminders for it
+        if (time) {
+            this.cancelFollowUpReminder(medicationId, time, historyEntry.date);
+        }
+        console.log('Updated history:', this.history);
+        
+        // Update UI if on history screen
+        if (this.currentScreen === 'history') {
+            this.renderHistory();
+        }
+    }
+
+    createHistoryEntry(medication, action, time, doseDate) {
+        const historyEntry = {
+            id: this.generateId(),
+            profileId: this.activeProfileId,
+            medicationId: medication.id,
+            medicationName: medication.name,
+            action: action,
+            scheduledTime: time,
+            actualTime: new Date().toISOString(),
+            date: doseDate.toDateString(),
+            // The real moment the dose was due and the device's time zone, so the
+            // history still reads right after crossing time zones
+            scheduledAt: time ? this.getScheduledAt(time, doseDate.toDateString()) : null,
+            timeZone: this.clock.getDeviceTimeZone()
+        };
+        
+        if (this.isAsNeeded(medication)) {
+            historyEntry.asNeeded = true;
+        }
+        
+        return historyEntry;
+    }
+
+    // The real moment a scheduled dose is due, as an ISO timestamp
+    getScheduledAt(time, dateString, clock = this.clock) {
+        const day = new Date(dateString);
+        const [hours, minutes] = time.split(':').map(Number);
+        const dueTime = new Date(day.getFullYear(), day.getMonth(), day.getDate(), hours, minutes);
+        return clock.toDeviceTime(dueTime).toISOString();
+    }
+
+    // Missed Dose Detection
+    // Minutes after the scheduled time before an unmarked dose counts as missed
+    getGraceMinutes(medication) {
+        return medication.graceMinutes || 60;
+    }
+
+    // Record a 'missed' entry for every past scheduled dose that is still unresolved after its grace period
+    // Days and times here are on the schedule clock (see clock.js), like the schedule itself
+    resolveMissedDoses(now = this.clock.now()) {
+        const lookbackLimit = new Date(now.getFullYear(), now.getMonth(), now.getDate() - 30);
+        const lastCheck = this.settings.lastMissedDoseCheck ? new Date(this.settings.lastMissedDoseCheck) : null;
+        
+        // Re-check the day before the last run too, since a late-evening grace period can cross midnight
+        let scanStart = lookbackLimit;
+        if (lastCheck && lastCheck > lookbackLimit) {
+            scanStart = new Date(lastCheck.getFullYear(), lastCheck.getMonth(), lastCheck.getDate() - 1);
+        }
+        
+        const missedEntries = [];
+        const stats = this.getAdherenceStats();
+        
+        this.getActiveMedications()
+            .filter(medication => !this.isAsNeeded(medication))
+            .forEach(medication => {
+                // Doses before the medication was added or last resumed were never due
+                const notBefore = this.clock.toScheduleTime(new Date(Math.max(
+                    new Date(medication.createdAt || 0).getTime(),
+                    new Date(medication.resumedAt || 0).getTime()
+                )));
+                const pausedPeriods = stats.getPausedPeriods(medication);
+                const graceMs = this.getGraceMinutes(medication) * 60 * 1000;
+                
+                for (let day = new Date(scanStart); day <= now; day.setDate(day.getDate() + 1)) {
+                    if (!this.isMedicationScheduledOn(medication, day)) continue;
+                    
+                    this.getTimesOn(medication, day).forEach(time => {
+                        const [hours, minutes] = time.split(':').map(Number);
+                        const dueTime = new Date(day.getFullYear(), day.getMonth(), day.getDate(), hours, minutes);
+                        
+                        if (dueTime < notBefore || stats.isPaused(dueTime, pausedPeriods)) return;
+                        if (dueTime.getTime() + graceMs > now.getTime()) return;
+                        if (this.isDoseResolved(medication.id, time, day.toDateString())) return;
+                        
+                        const entry = this.createHistoryEntry(medication, 'missed', time, day);
+                        entry.autoDetected = true;
+                        missedEntries.push(entry);
+                    });
+                }
+            });
+        
+        this.settings.lastMissedDoseCheck = now.toISOString();
+        
+        if (missedEntries.length > 0) {
+            console.log('Recording missed doses:', missedEntries);
+            this.history.push(...missedEntries);
+        }
+        
+        this.saveData(`Recorded ${this.pluralize(missedEntries.length, 'missed dose')}`);
+        return missedEntries;
+    }
+
+    // Re-run missed dose detection and refresh "today" just after midnight
+    scheduleDayRollover() {
+        clearTimeout(this.dayRolloverTimer);
+        
+        const now = this.clock.now();
+        const nextMidnight = new Date(now.getFullYear(), now.getMonth(), now.getDate() + 1, 0, 1);
+        
+        this.dayRolloverTimer = setTimeout(() => {
+            this.resolveMissedDoses();
+            this.updateCurrentDate();
+            this.renderMedications();
+            this.notifyPrescriptionWarnings();
+            this.scheduleDayRollover();
+        }, this.clock.toDeviceTime(nextMidnight).getTime() - Date.now());
+    }
+
+    // As-Needed Doses
+    takeAsNeededDose(medicationId) {
+        const medication = this.medications.find(med => med.id === medicationId);
+        if (!medication) return;
+
+        const warnings = this.getAsNeededWarnings(medication);
+        const recordDose = () => {
+            this.recordMedicationAction(medicationId, 'taken', null);
+            this.renderAsNeeded();
+            this.showToast(`Recorded a dose of ${medication.name}`, 'success');
+        };
+
+        if (warnings.length === 0) {
+            recordDose();
+            return;
+        }
+
+        this.showConfirmDialog(
+            'Are You Sure?',
+            `${warnings.join(' ')} Please check with your doctor or pharmacist if unsure. Record another dose anyway?`,
+            recordDose
+        );
+    }
+
+    // Doses of an as-needed medication recorded in the last 24 hours, newest first
+    getRecentAsNeededDoses(medication, now = new Date()) {
+        const dayAgo = now.getTime() - 24 * 60 * 60 * 1000;
+        return this.history
+            .filter(entry =>
+                entry.medicationId === medication.id &&
+                entry.action === 'taken' &&
+                new Date(entry.actualTime).getTime() > dayAgo
+            )
+            .sort((a, b) => new Date(b.actualTime) - new Date(a.actualTime));
+    }
+
+    // Plain-language warnings for taking another dose right now (empty when it is within limits)
+    getAsNeededWarnings(medication, now = new Date()) {
+        const recentDoses = this.getRecentAsNeededDoses(medication, now);
+        const warnings = [];
+
+        if (recentDoses.length > 0 && medication.minIntervalHours) {
+            const hoursSinceLast = (now - new Date(recentDoses[0].actualTime)) / (60 * 60 * 1000);
+            if (hoursSinceLast < medication.minIntervalHours) {
+                warnings.push(`Your last dose of ${medication.name} was only ${this.formatDuration(hoursSinceLast)} ago. You should wait at least ${medication.minIntervalHours} hours between doses.`);
+            }
+        }
+
+        if (medication.maxDosesPer24h && recentDoses.length >= medication.maxDosesPer24h) {
+            warnings.push(`You have already had ${recentDoses.length} doses of ${medication.name} in the last 24 hours. The most allowed is ${medication.maxDosesPer24h}.`);
+        }
+
+        return warnings;
+    }
+
+    // Pill Inventory - pills on hand go down with each dose taken and back up when a dose is undone
+    isTrackingPills(medication) {
+        return typeof medication.pillsOnHand === 'number';
+    }
+
+    // The dose's amount is the one place the pills per dose are kept (see DOSE_FORMS)
+    getPillsPerDose(medication) {
+        const dose = medication.dose || {};
+        const form = DOSE_FORMS[dose.form];
+        return !form || form.counted ? dose.amount || 1 : 1;
+    }
+
+    // Average pills used per day: from the schedule, or from the last two weeks for as-needed medications
+    getDailyPillUsage(medication) {
+        const pillsPerDose = this.getPillsPerDose(medication);
+
+        if (this.isAsNeeded(medication)) {
+            const twoWeeksAgo = Date.now() - 14 * 24 * 60 * 60 * 1000;
+            const recentDoses = this.history.filter(entry =>
+                entry.medicationId === medication.id &&
+                entry.action === 'taken' &&
+                new Date(entry.actualTime).getTime() >= twoWeeksAgo
+            ).length;
+            return (recentDoses * pillsPerDose) / 14;
+        }
+
+        const schedule = medication.schedule || { type: 'daily' };
+        let shareOfDays = 1;
+        switch (schedule.type) {
+            case 'weekdays':
+                shareOfDays = (schedule.daysOfWeek || []).length / 7;
+                break;
+            case 'interval':
+                shareOfDays = 1 / (schedule.intervalDays || 1);
+                break;
+            case 'cycle':
+                shareOfDays = (schedule.cycleDaysOn || 1) / ((schedule.cycleDaysOn || 1) + (schedule.cycleDaysOff || 0));
+                break;
+        }
+
+        return medication.times.length * pillsPerDose * shareOfDays;
+    }
+
+    // Whole days the pills on hand will last, or null when there's nothing to estimate from
+    getDaysOfSupply(medication) {
+        if (!this.isTrackingPills(medication)) return null;
+
+        const dailyUsage = this.getDailyPillUsage(medication);
+        if (dailyUsage <= 0) return null;
+
+        return Math.floor(medication.pillsOnHand / dailyUsage);
+    }
+
+    needsRefill(medication) {
+        if (!this.isTrackingPills(medication)) return false;
+        if (medication.pillsOnHand < this.getPillsPerDose(medication)) return true;
+
+        const daysOfSupply = this.getDaysOfSupply(medication);
+        return daysOfSupply !== null && daysOfSupply <= (medication.refillReminderDays || DEFAULT_REFILL_REMINDER_DAYS);
+    }
+
+    describePillSupply(medication) {
+        if (medication.pillsOnHand < this.getPillsPerDose(medication)) {
+            return 'Not enough pills left for a full dose';
+        }
+
+        const pills = this.pluralize(medication.pillsOnHand, 'pill');
+        const daysOfSupply = this.getDaysOfSupply(medication);
+        if (daysOfSupply === null) return `${pills} left`;
+
+        return `${pills} left - about ${this.pluralize(daysOfSupply, 'day')}`;
+    }
+
+    // Take a dose's pills out of the supply. The amount is kept on the history
+    // entry so undoing the dose puts back exactly what was taken out.
+    usePills(medication, historyEntry) {
+        if (!this.isTrackingPills(medication)) return;
+
+        const neededRefill = this.needsRefill(medication);
+        const pillsUsed = Math.min(medication.pillsOnHand, this.getPillsPerDose(medication));
+
+        medication.pillsOnHand -= pillsUsed;
+        historyEntry.pillsUsed = pillsUsed;
+
+        if (!neededRefill && this.needsRefill(medication)) {
+            this.showRefillReminder(medication);
+        }
+        this.renderMedicationAlerts();
+    }
+
+    returnPills(historyEntries) {
+        historyEntries.forEach(entry => {
+            const medication = this.medications.find(med => med.id === entry.medicationId);
+            if (medication && entry.pillsUsed && this.isTrackingPills(medication)) {
+                medication.pillsOnHand += entry.pillsUsed;
+            }
+        });
+    }
+
+    // Prescription - Rx number, refills left, expiry and the pharmacy to call
+    getPrescriptionWarnings(medication, today = new Date()) {
+        const prescription = medication.prescription;
+        if (!prescription) return [];
+
+        const warnings = [];
+
+        if (prescription.expiryDate) {
+            const expiry = this.parseDateInput(prescription.expiryDate);
+            const startOfToday = new Date(today.getFullYear(), today.getMonth(), today.getDate());
+            const daysLeft = this.daysBetween(startOfToday, expiry);
+            const expiryText = expiry.toLocaleDateString('en-US', { month: 'long', day: 'numeric' });
+
+            if (daysLeft < 0) {
+                warnings.push(`The prescription expired on ${expiryText}. Ask your doctor for a new one.`);
+            } else if (daysLeft === 0) {
+                warnings.push('The prescription expires today. Ask your doctor for a new one.');
+            } else if (daysLeft <= PRESCRIPTION_EXPIRY_WARNING_DAYS) {
+                warnings.push(`The prescription expires in ${this.pluralize(daysLeft, 'day')}, on ${expiryText}.`);
+            }
+        }
+
+        if (prescription.refillsLeft === 0) {
+            warnings.push('No refills left. Ask your doctor for a new prescription.');
+        }
+
+        return warnings;
+    }
+
+    // Once a day, send a notification for each prescription that needs attention
+    async notifyPrescriptionWarnings() {
+        const today = new Date().toDateString();
+        if (!this.notificationPermission || this.settings.lastPrescriptionCheck === today) return;
+
+        this.settings.lastPrescriptionCheck = today;
+        this.saveData();
+
+        const registration = 'serviceWorker' in navigator ? await navigator.serviceWorker.getRegistration() : null;
+
+        for (const medication of this.getActiveMedications()) {
+            const warnings = this.getPrescriptionWarnings(medication);
+            if (warnings.length === 0) continue;
+
+            const title = `Prescription for ${this.getReminderName(medication)}`;
+            const options = {
+                body: warnings.join(' '),
+                icon: 'data:image/svg+xml,<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" fill="%231565C0"><path d="M19 8h-2v3h-3v2h3v3h2v-3h3v-2h-3V8zM4 6h5v2H4V6zm0 4h5v2H4v-2zm0 4h5v2H4v-2z"/></svg>',
+                tag: `prescription-${medication.id}`
+            };
+
+            if (registration) {
+                await registration.showNotification(title, options);
+            } else {
+                new Notification(title, options);
+            }
+        }
+    }
+
+    // Only digits and dialling symbols go into a tel: link
+    getPhoneLink(phone) {
+        return `tel:${phone.replace(/[^\d+*#]/g, '')}`;
+    }
+
+    // The main menu shows the refill warning from now on; the notification makes sure it's seen
+    async showRefillReminder(medication) {
+        if (!this.notificationPermission) return;
+
+        const title = `Refill ${this.getReminderName(medication)} soon`;
+        const options = {
+            body: `${this.describePillSupply(medication)}. Call your pharmacy to order more.`,
+            icon: 'data:image/svg+xml,<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" fill="%231565C0"><path d="M19 8h-2v3h-3v2h3v3h2v-3h3v-2h-3V8zM4 6h5v2H4V6zm0 4h5v2H4v-2zm0 4h5v2H4v-2z"/></svg>',
+            tag: `refill-${medication.id}`
+        };
+
+        const registration = 'serviceWorker' in navigator ? await navigator.serviceWorker.getRegistration() : null;
+        if (registration) {
+            await registration.showNotification(title, options);
+        } else {
+            new Notification(title, options);
+        }
+    }
+
+    formatDuration(hours) {
+        if (hours < 1) {
+            const minutes = Math.max(1, Math.round(hours * 60));
+            return `${minutes} minute${minutes === 1 ? '' : 's'}`;
+        }
+        const roundedHours = Math.round(hours * 10) / 10;
+        return `${roundedHours} hour${roundedHours === 1 ? '' : 's'}`;
+    }
+
+    // Notification Management
+    async checkNotificationPermission() {
+        if ('Notification' in window) {
+            const permission = await Notification.requestPermission();
+            this.notificationPermission = permission === 'granted';
+            
+            if (!this.notificationPermission) {
+                this.showNotificationModal();
+            }
+        }
+    }
+
+    showNotificationModal() {
+        const modal = document.getElementById('notification-modal');
+        modal.setAttribute('aria-hidden', 'false');
+        
+        const enableBtn = document.getElementById('enable-notifications');
+        const skipBtn = document.getElementById('skip-notifications');
+        
+        enableBtn.onclick = async () => {
+            const permission = await Notification.requestPermission();
+            this.notificationPermission = permission === 'granted';
+            modal.setAttribute('aria-hidden', 'true');
+            
+            if (this.notificationPermission) {
+                this.refreshReminders();
+                this.showToast('Notifications enabled', 'success');
+            } else {
+                this.showToast('Notifications not enabled', 'error');
+            }
+        };
+        
+        skipBtn.onclick = () => {
+            modal.setAttribute('aria-hidden', 'true');
+        };
+    }
+
+    scheduleNotifications(medication, context = this.getActiveContext()) {
+        if (!this.notificationPermission) return;
+        if (!this.isMedicationActive(medication)) return;
+        
+        medication.times.forEach(time => {
+            this.scheduleNotificationForTime(medication, time, context);
+        });
+    }
+
+    // Drop any pending reminders for a medication and schedule them again from its current times
+    rescheduleNotifications(medication) {
+        this.cancelNotifications(medication.id);
+        this.scheduleNotifications(medication);
+    }
+
+    cancelNotifications(medicationId) {
+        this.reminders.cancel(medicationId);
+    }
+
+    // Work out every reminder time again - after waking up, since timers stop while the device
+    // sleeps and the clock or time zone may have changed. Doses that came due meanwhile are
+    // reminded once first; repeats and snoozes already waiting are kept.
+    refreshReminders() {
+        this.reminders.tick();
+        this.reminders.cancelWhere(reminder => reminder.attempt === 0 && !reminder.snoozed);
+        this.getActiveMedications().forEach(medication => this.scheduleNotifications(medication));
+        this.scheduleOtherProfileReminders();
+    }
+
+    // Everyone on this device keeps getting reminders, whoever is on screen
+    async scheduleOtherProfileReminders() {
+        if (!this.notificationPermission) return;
+        
+        for (const profile of this.profiles) {
+            if (profile.id === this.activeProfileId) continue;
+            
+            try {
+                const context = await this.getProfileContext(profile.id);
+                if (!context) continue;
+                context.medications.forEach(medication => this.scheduleNotifications(medication, context));
+            } catch (error) {
+                console.error(`Error scheduling reminders for ${profile.name}:`, error);
+            }
+        }
+    }
+
+    // What reminders need to know about one person. The profile on screen is already loaded;
+    // anyone else's data is read from the database.
+    getActiveContext() {
+        return {
+            profile: this.getActiveProfile(),
+            medications: this.medications,
+            history: this.history,
+            settings: this.settings,
+            clock: this.clock
+        };
+    }
+
+    async getProfileContext(profileId) {
+        if (profileId === this.activeProfileId) return this.getActiveContext();
+        
+        const profile = this.profiles.find(item => item.id === profileId);
+        if (!profile || !this.store) return null;
+        
+        const [medications, history, savedSettings] = await Promise.all([
+            this.store.getProfileRecords('medications', profileId),
+            this.store.getProfileRecords('history', profileId),
+            this.store.getSettings(profileId)
+        ]);
+        const settings = { ...this.getDefaultSettings(), ...savedSettings };
+        
+        return { profile, medications, history, settings, clock: new ScheduleClock(() => settings) };
+    }
+
+    // Queue the first reminder for the next dose at this time
+    scheduleNotificationForTime(medication, time, context = this.getActiveContext()) {
+        const [hours, minutes] = time.split(':').map(Number);
+        const now = context.clock.now();
+        const scheduledTime = new Date(now);
+        scheduledTime.setHours(hours, minutes, 0, 0);
+        
+        // If time has passed today, schedule for tomorrow
+        if (scheduledTime <= now) {
+            scheduledTime.setDate(scheduledTime.getDate() + 1);
+        }
+        
+        // Move forward to the next day the schedule actually includes
+        let daysChecked = 0;
+        while (!this.isMedicationScheduledOn(medication, scheduledTime)) {
+            scheduledTime.setDate(scheduledTime.getDate() + 1);
+            // Give up once a whole year has no dose - the course has ended
+            if (++daysChecked > 366) return;
+        }
+        
+        // The schedule clock can differ from the device clock while travelling
+        this.reminders.schedule({
+            profileId: context.profile.id,
+            medicationId: medication.id,
+            time,
+            date: scheduledTime.toDateString(),
+            dueAt: context.clock.toDeviceTime(scheduledTime).getTime()
+        });
+    }
+
+    // Called by the reminder scheduler once per reminder. The medication is looked up again,
+    // since it may have been edited, paused or deleted since the reminder was queued.
+    async handleDueReminder(reminder) {
+        let context;
+        try {
+            context = await this.getProfileContext(reminder.profileId);
+        } catch (error) {
+            console.error('Error reading reminder data:', error);
+            return;
+        }
+        if (!context) return;
+        
+        const medication = context.medications.find(med => med.id === reminder.medicationId);
+        if (!medication || !this.isMedicationActive(medication)) return;
+        
+        // A first reminder queues the next day's as it fires
+        if (reminder.attempt === 0 && !reminder.snoozed) {
+            this.scheduleNotificationForTime(medication, reminder.time, context);
+        }
+        
+        if (this.isDoseResolved(medication.id, reminder.time, reminder.date, context.history)) return;
+        
+        this.showMedicationNotification(medication, reminder.time, reminder.date, reminder.attempt, context);
+        
+        // Keep reminding until the dose is handled
+        const { settings } = context;
+        if (settings.repeatReminders && reminder.attempt < settings.maxReminderRepeats) {
+            this.scheduleFollowUpReminder(medication.id, reminder.time, reminder.date, settings.repeatIntervalMinutes, reminder.attempt + 1, false, context.profile.id);
+        }
+    }
+
+    // Medication names in notifications say whose they are once more than one person uses the app
+    getReminderName(medication, profile = this.getActiveProfile()) {
+        return this.profiles.length > 1 ? `${this.getProfilePossessive(profile)} ${medication.name}` : medication.name;
+    }
+
+    async showMedicationNotification(medication, time, date = this.clock.now().toDateString(), attempt = 0, context = this.getActiveContext()) {
+        if (!this.notificationPermission) return;
+        
+        const { profile, settings } = context;
+        const name = this.getReminderName(medication, profile);
+        const title = attempt > 0 ? `Reminder: ${name}` : `Time for ${name}`;
+        const options = {
+            body: attempt > 0
+                ? (this.profiles.length > 1
+                    ? `The ${this.formatTime(time)} dose of ${name} has not been marked as taken yet`
+                    : `You have not marked your ${this.formatTime(time)} ${medication.name} as taken yet`)
+                : this.describeDoseInstruction(medication) || `Take your ${medication.name} now`,
+            icon: 'data:image/svg+xml,<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" fill="%231565C0"><path d="M19 8h-2v3h-3v2h3v3h2v-3h3v-2h-3V8zM4 6h5v2H4V6zm0 4h5v2H4v-2zm0 4h5v2H4v-2z"/></svg>',
+            requireInteraction: true,
+            tag: `medication-${medication.id}-${time}`,
+            // Read by the service worker when "Mark as Taken" or "Remind Later" is tapped
+            data: {
+                profileId: profile.id,
+                medicationId: medication.id,
+                medicationName: medication.name,
+                reminderName: name,
+                instruction: this.describeDoseInstruction(medication),
+                time: time,
+                date: date,
+                scheduledAt: this.getScheduledAt(time, date, context.clock),
+                attempt: attempt,
+                snoozeMinutes: settings.snoozeMinutes
+            },
+            actions: [
+                {
+                    action: 'taken',
+                    title: 'Mark as Taken',
+                    icon: 'data:image/svg+xml,<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" fill="%232E7D32"><path d="M9 16.17L4.83 12l-1.42 1.41L9 19 21 7l-1.41-1.41z"/></svg>'
+                },
+                {
+                    action: 'snooze',
+                    title: 'Remind Later',
+                    icon: 'data:image/svg+xml,<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" fill="%23FF9800"><path d="M9 11H7v6h2v-6zm4 0h-2v6h2v-6zm4 0h-2v6h2v-6zm2-7h-3V2h-2v2H8V2H6v2H3c-1.1 0-2 .9-2 2v14c0 1.1.9 2 2 2h18c1.1 0 2-.9 2-2V6c0-1.1-.9-2-2-2zm0 16H3V9h18v11z"/></svg>'
+                }
+            ]
+        };
+        
+        // Notification actions only work through the service worker registration
+        const registration = 'serviceWorker' in navigator ? await navigator.serviceWorker.getRegistration() : null;
+        
+        if (registration) {
+            await registration.showNotification(title, options);
+        } else {
+            const { actions, ...pageOptions } = options;
+            const notification = new Notification(title, pageOptions);
+            notification.onclick = () => {
+                window.focus();
+                this.showScreen('main-menu');
+                notification.close();
+            };
+        }
+        
+        // Play sound if enabled
+        if (settings.soundEnabled) {
+            this.playNotificationSound();
+        }
+        
+        // Vibrate if enabled and supported
+        if (settings.vibrationEnabled && 'vibrate' in navigator) {
+            navigator.vibrate([200, 100, 200]);
+        }
+    }
+
+    // Show a reminder again after the user tapped "Remind Later". Snoozing does not use up a repeat.
+    snoozeReminder(medicationId, time, minutes, date = this.clock.now().toDateString(), attempt = 0, profileId = this.activeProfileId) {
+        this.scheduleFollowUpReminder(medicationId, time, date, minutes || this.settings.snoozeMinutes, attempt, true, profileId);
+    }
+
+    // Pick up snoozes the service worker saved while the app was closed. Any that are already due fire straight away.
+    async restorePendingSnoozes() {
+        if (!this.store) return;
+        
+        try {
+            const snoozes = await this.store.takePendingSnoozes();
+            snoozes.forEach(snooze => this.reminders.schedule({
+                profileId: snooze.profileId,
+                medicationId: snooze.medicationId,
+                time: snooze.time,
+                date: snooze.date,
+                dueAt: snooze.dueAt,
+                attempt: snooze.attempt,
+                snoozed: true
+            }));
+        } catch (error) {
+            console.error('Error restoring snoozed reminders:', error);
+        }
+    }
+
+    // Ask the browser to wake the service worker now and then, so saved snoozes show even if the app stays closed.
+    // Only some browsers offer this, and only for installed apps.
+    async registerSnoozeSync() {
+        try {
+            const registration = await navigator.serviceWorker.ready;
+            if (!('periodicSync' in registration)) return;
+            await registration.periodicSync.register(SNOOZE_SYNC_TAG, { minInterval: SNOOZE_SYNC_MINUTES * 60 * 1000 });
+        } catch (error) {
+            console.log('Periodic sync not available:', error);
+        }
+    }
+
+    // Browsers that can show a notification at a set time keep "Remind Later" working while the app is closed
+    canScheduleNotifications() {
+        return typeof Notification !== 'undefined' && 'showTrigger' in Notification.prototype &&
+            typeof TimestampTrigger !== 'undefined';
+    }
+
+    // One follow-up per dose: a snooze replaces a pending repeat and the other way round
+    scheduleFollowUpReminder(medicationId, time, date, delayMinutes, attempt, snoozed = false, profileId = this.activeProfileId) {
+        this.reminders.schedule({
+            profileId,
+            medicationId,
+            time,
+            date,
+            dueAt: Date.now() + delayMinutes * 60 * 1000,
+            attempt,
+            snoozed
+        });
+    }
+
+    // Stop repeats and snoozes for a dose. A first reminder still waiting is left to fire,
+    // so it can queue the next day's - it stays silent once the dose is handled.
+    cancelFollowUpReminder(medicationId, time, date) {
+        this.reminders.cancelWhere(reminder =>
+            reminder.medicationId === medicationId &&
+            reminder.time === time &&
+            reminder.date === date &&
+            (reminder.attempt > 0 || reminder.snoozed)
+        );
+    }
+
+    // A dose is handled once it has been marked taken, skipped or missed
+    isDoseResolved(medicationId, time, date, history = this.history) {
+        return history.some(entry =>
+            entry.medicationId === medicationId &&
+            entry.scheduledTime === time &&
+            entry.date === date &&
+            ['taken', 'skipped', 'missed'].includes(entry.action)
+        );
+    }
+
+    // Service Worker Messages
+    handleServiceWorkerMessage(message) {
+        if (!message) return;
+        
+        if (message.type === 'history-changed') {
+            this.reloadHistory();
+        } else if (message.type === 'snooze') {
+            this.snoozeReminder(message.medicationId, message.time, message.minutes, message.date, message.attempt, message.profileId);
+        } else if (message.type === 'open-screen') {
+            this.showScreen(message.screen);
+        }
+    }
+
+    // The service worker writes doses marked from notifications straight to the database,
+    // so read history - and the pill counts and logged change that go with it - again to pick them up
+    async reloadHistory() {
+        if (!this.store) return;
+        
+        try {
+            this.medications = await this.store.getProfileRecords('medications', this.activeProfileId);
+            this.history = await this.store.getProfileRecords('history', this.activeProfileId);
+            const changes = await this.store.getProfileRecords('changes', this.activeProfileId);
+            this.changes = changes.sort((a, b) => b.changedAt.localeCompare(a.changedAt) || b.id.localeCompare(a.id));
+            this.rememberSavedRecords('medications');
+            this.rememberSavedRecords('history');
+        } catch (error) {
+            console.error('Error reloading history:', error);
+            return;
+        }
+        
+        this.renderMedications();
+        
+        if (this.currentScreen === 'history') {
+            this.renderHistory();
+        } else if (this.currentScreen === 'change-log') {
+            this.renderChangeLog();
+        }
+    }
+
+    playNotificationSound() {
+        // Create a simple beep sound using Web Audio API
+        try {
+            const audioContext = new (window.AudioContext || window.webkitAudioContext)();
+            const oscillator = audioContext.createOscillator();
+            const gainNode = audioContext.createGain();
+            
+            oscillator.connect(gainNode);
+            gainNode.connect(audioContext.destination);
+            
+            oscillator.frequency.value = 800;
+            oscillator.type = 'sine';
+            gainNode.gain.setValueAtTime(0.3, audioContext.currentTime);
+            gainNode.gain.exponentialRampToValueAtTime(0.01, audioContext.currentTime + 1);
+            
+            oscillator.start(audioContext.currentTime);
+            oscillator.stop(audioContext.currentTime + 1);
+        } catch (error) {
+            console.log('Audio not supported or failed:', error);
+        }
+    }
+
+    // Update current date display
+    updateCurrentDate() {
+        const dateElement = document.getElementById('current-date');
+        const now = this.clock.now();
+        if (dateElement) {
+            const options = { 
+                weekday: 'long', 
+                year: 'numeric', 
+                month: 'long', 
+                day: 'numeric' 
+            };
+            dateElement.textContent = now.toLocaleDateString('en-US', options);
+        }
+        
+        // While travelling, say which clock the dose times on this screen follow
+        const travelElement = document.getElementById('travel-status');
+        if (travelElement) {
+            const shifted = this.clock.isShifted();
+            const schedule = this.clock.getTravelMode() === 'home' ? 'home time' : 'your travel schedule';
+            travelElement.hidden = !shifted;
+            travelElement.textContent = shifted
+                ? `✈️ Dose times are on ${schedule}, where it is now ${this.formatTime(now.toTimeString().slice(0, 5))}`
+                : '';
+        }
+    }
+
+    // A schedule time on the device clock, e.g. " (10:00 PM here)" - empty when the clocks agree
+    describeLocalTime(time) {
+        if (!this.clock.isShifted()) return '';
+        
+        const now = this.clock.now();
+        const [hours, minutes] = time.split(':').map(Number);
+        const dueTime = this.clock.toDeviceTime(new Date(now.getFullYear(), now.getMonth(), now.getDate(), hours, minutes));
+        return ` (${this.formatTime(dueTime.toTimeString().slice(0, 5))} here)`;
+    }
+
+    // UI Rendering - Today's Schedule
+    renderTodaysSchedule() {
+        const container = document.getElementById('todays-schedule');
+        
+        if (this.medications.length === 0) {
+            container.innerHTML = `
+                <div class="empty-state">
+                    <div class="empty-state-icon" aria-hidden="true">💊</div>
+                    <h3>No Medications Added</h3>
+                    <p>Tap "Add Medication" below to get started with your medication reminders.</p>
+                </div>
+            `;
+            return;
+        }
+        
+        if (this.getActiveMedications().length === 0) {
+            container.innerHTML = `
+                <div class="empty-state">
+                    <div class="empty-state-icon" aria-hidden="true">⏸️</div>
+                    <h3>No Active Medications</h3>
+                    <p>All your medications are paused or archived. Tap "Manage" below to resume one.</p>
+                </div>
+            `;
+            return;
+        }
+        
+        // Create a simple list of untaken medications
+        const untakenMedications = this.getUntakenMedicationsForToday();
+        
+        // Only as-needed medications - they have their own list below
+        if (this.getActiveMedications().every(medication => this.isAsNeeded(medication))) {
+            container.innerHTML = '';
+            return;
+        }
+        
+        if (this.getMedicationsScheduledOn(this.clock.now()).length === 0) {
+            container.innerHTML = `
+                <div class="empty-state">
+                    <div class="empty-state-icon" aria-hidden="true">🗓️</div>
+                    <h3>Nothing Scheduled Today</h3>
+                    <p>None of your medications are due today. Check the Weekly View to see your next doses.</p>
+                </div>
+            `;
+            return;
+        }
+        
+        if (untakenMedications.length === 0) {
+            container.innerHTML = `
+                <div class="empty-state">
+                    <div class="empty-state-icon" aria-hidden="true">✅</div>
+                    <h3>All Done for Today!</h3>
+                    <p>You've taken all your medications for today. Great job!</p>
+                </div>
+            `;
+            return;
+        }
+        
+        // Group by time
+        const timeGroups = {};
+        untakenMedications.forEach(item => {
+            if (!timeGroups[item.time]) {
+                timeGroups[item.time] = [];
+            }
+            timeGroups[item.time].push(item.medication);
+        });
+        
+        container.innerHTML = Object.entries(timeGroups)
+            .sort(([timeA], [timeB]) => timeA.localeCompare(timeB))
+            .map(([time, medications]) => `
+                <div class="time-block">
+                    <div class="time-header">
+                        <div class="time-label">
+                            <div class="time-indicator"></div>
+                            ${this.formatTime(time)}${this.describeLocalTime(time)}
+                        </div>
+                        ${medications.length > 1 ? `<button class="resolve-all-btn" onclick="app.resolveAllForTime('${time}')">Resolve all</button>` : ''}
+                    </div>
+                    <div class="medications-for-time">
+                        ${medications.map(medication => `
+                            <div class="med-item" role="article" aria-labelledby="med-${medication.id}-${time}">
+                                <div class="med-icon">💊</div>
+                                <div class="med-info">
+                                    <h4 id="med-${medication.id}-${time}" class="med-name">${this.escapeHtml(medication.name)}</h4>
+                                    ${this.describeDoseInstruction(medication) ? `<p class="med-dosage">${this.escapeHtml(this.describeDoseInstruction(medication))}</p>` : ''}
+                                </div>
+                                <button class="med-status" onclick="app.markMedicationTaken('${medication.id}', '${time}')" 
+                                        aria-label="Mark ${this.escapeHtml(medication.name)} as taken">
+                                </button>
+                            </div>
+                        `).join('')}
+                    </div>
+                </div>
+            `).join('');
+    }
+
+    // Get all untaken medications for today
+    getUntakenMedicationsForToday() {
+        const today = this.clock.now().toDateString();
+        const untakenMedications = [];
+        
+        this.getMedicationsScheduledOn(this.clock.now()).forEach(medication => {
+            medication.times.forEach(time => {
+                // Check if this specific medication at this specific time was taken today
+                const wasTaken = this.history.some(entry => 
+                    entry.medicationId === medication.id &&
+                    entry.scheduledTime === time &&
+                    entry.date === today &&
+                    entry.action === 'taken'
+                );
+                
+                console.log(`Medication: ${medication.name}, Time: ${time}, Taken today: ${wasTaken}`);
+                
+                if (!wasTaken) {
+                    untakenMedications.push({
+                        medication: medication,
+                        time: time
+                    });
+                }
+            });
+        });
+        
+        console.log('Untaken medications:', untakenMedications);
+        return untakenMedications;
+    }
+
+    // Group medications by their scheduled times (only show untaken medications)
+    groupMedicationsByTime() {
+        const timeGroups = {};
+        
+        this.getMedicationsScheduledOn(this.clock.now()).forEach(medication => {
+            medication.times.forEach(time => {
+                console.log(`Processing medication ${medication.name} (${medication.id}) at time ${time}`);
+                // Only include medications that haven't been taken today
+                const isTaken = this.isMedicationTakenToday(medication.id, time);
+                console.log(`Is ${medication.name} taken at ${time}? ${isTaken}`);
+                if (!isTaken) {
+                    if (!timeGroups[time]) {
+                        timeGroups[time] = [];
+                    }
+                    timeGroups[time].push(medication);
+                } else {
+                    console.log(`Excluding ${medication.name} from display because it was taken`);
+                }
+            });
+        });
+        
+        console.log('Final time groups:', timeGroups);
+        return timeGroups;
+    }
+
+    // Check if medication was taken today for specific time - "today" on the schedule clock, which may be home time while travelling
+    isMedicationTakenToday(medicationId, time) {
+        const today = this.clock.now().toDateString();
+        const taken = this.history.some(entry => 
+            entry.medicationId === medicationId &&
+            entry.scheduledTime === time &&
+            entry.date === today &&
+            entry.action === 'taken'
+        );
+        console.log(`Checking if medication ${medicationId} at ${time} was taken today (${today}):`, taken);
+        console.log('History entries for today:', this.history.filter(entry => entry.date === today));
+        return taken;
+    }
+
+    // Toggle medication status (taken/not taken)
+    toggleMedicationStatus(medicationId, time) {
+        if (this.isMedicationTakenToday(medicationId, time)) {
+            // If already taken, allow user to undo
+            this.showConfirmDialog(
+                'Undo Medication',
+                'Do you want to mark this medication as not taken?',
+                () => {
+                    const change = this.removeMedicationRecord(medicationId, time);
+                    this.renderTodaysSchedule();
+                    this.showUndoToast('Medication unmarked', change);
+                }
+            );
+        } else {
+            this.markMedicationTaken(medicationId, time);
+            this.renderTodaysSchedule();
+        }
+    }
+
+    // Remove the record of a dose (today's unless another day is given) - returns the logged change, so it can be undone
+    removeMedicationRecord(medicationId, time, dateString = this.clock.now().toDateString()) {
+        const isDoseEntry = entry =>
+            entry.medicationId === medicationId &&
+            entry.scheduledTime === time &&
+            entry.date === dateString;
+        
+        const removedEntries = this.history.filter(isDoseEntry);
+        if (removedEntries.length === 0) return null;
+        
+        this.returnPills(removedEntries);
+        this.history = this.history.filter(entry => !isDoseEntry(entry));
+        const day = dateString === this.clock.now().toDateString() ? '' : ` on ${this.formatShortDate(dateString)}`;
+        const change = this.saveData(`Unmarked ${removedEntries[0].medicationName} at ${this.formatTime(time)}${day}`);
+        this.renderMedicationAlerts();
+        return change;
+    }
+
+    // Resolve all medications for a specific time
+    resolveAllForTime(time) {
+        const timeGroups = this.groupMedicationsByTime();
+        const medications = timeGroups[time] || [];
+        
+        medications.forEach(medication => {
+            this.recordMedicationAction(medication.id, 'taken', time);
+        });
+        
+        this.renderTodaysSchedule();
+        this.showToast(`All medications for ${this.formatTime(time)} marked as taken`, 'success');
+    }
+
+    // Legacy method for backward compatibility
+    renderMedications() {
+        this.renderMedicationAlerts();
+        this.renderTodaysSchedule();
+        this.renderAsNeeded();
+    }
+
+    // Warnings at the top of the main menu, such as medications that need a refill
+    renderMedicationAlerts() {
+        const container = document.getElementById('medication-alerts');
+        if (!container) return;
+
+        const alerts = this.getActiveMedications()
+            .map(medication => ({ medication, messages: this.getMedicationWarnings(medication) }))
+            .filter(alert => alert.messages.length > 0)
+            .map(({ medication, messages }) => `
+                <div class="medication-alert">
+                    <span class="medication-alert-icon" aria-hidden="true">⚠️</span>
+                    <div class="medication-alert-text">
+                        <strong>${this.escapeHtml(medication.name)}</strong>
+                        ${messages.map(message => `<p>${this.escapeHtml(message)}</p>`).join('')}
+                    </div>
+                    <button class="action-btn edit-btn" onclick="app.showMedicationDetails('${medication.id}')"
+                            aria-label="Details for ${this.escapeHtml(medication.name)}">Details</button>
+                </div>
+            `);
+
+        container.innerHTML = alerts.join('');
+    }
+
+    // Refill and prescription warnings for one medication
+    getMedicationWarnings(medication) {
+        const warnings = this.getPrescriptionWarnings(medication);
+        if (this.needsRefill(medication)) {
+            warnings.unshift(`${this.describePillSupply(medication)}. Time to order a refill.`);
+        }
+        return warnings;
+    }
+
+    // UI Rendering - As-needed medications with a "Take now" button
+    renderAsNeeded() {
+        const container = document.getElementById('as-needed-list');
+        if (!container) return;
+
+        const asNeededMedications = this.getActiveMedications().filter(medication => this.isAsNeeded(medication));
+
+        if (asNeededMedications.length === 0) {
+            container.innerHTML = '';
+            return;
+        }
+
+        container.innerHTML = `
+            <h2 class="section-title">As Needed</h2>
+            <div class="time-block">
+                <div class="medications-for-time">
+                    ${asNeededMedications.map(medication => {
+                        const recentDoses = this.getRecentAsNeededDoses(medication);
+                        const lastDose = recentDoses[0];
+                        return `
+                            <div class="med-item" role="article" aria-labelledby="prn-${medication.id}">
+                                <div class="med-icon">💊</div>
+                                <div class="med-info">
+                                    <h4 id="prn-${medication.id}" class="med-name">${this.escapeHtml(medication.name)}</h4>
+                                    ${this.describeDoseInstruction(medication) ? `<p class="med-dosage">${this.escapeHtml(this.describeDoseInstruction(medication))}</p>` : ''}
+                                    <p class="prn-details">
+                                        ${lastDose
+                                            ? `Last taken ${this.formatDateTime(lastDose.actualTime)} - ${recentDoses.length} of ${medication.maxDosesPer24h} doses in 24 hours`
+                                            : 'Not taken in the last 24 hours'}
+                                    </p>
+                                </div>
+                                <button class="take-now-btn" onclick="app.takeAsNeededDose('${medication.id}')"
+                                        aria-label="Take ${this.escapeHtml(medication.name)} now">
+                                    Take now
+                                </button>
+                            </div>
+                        `;
+                    }).join('')}
+                </div>
+            </div>
+        `;
+    }
+
+    renderHistory() {
+        const container = document.getElementById('history-list');
+        
+        if (this.history.length === 0) {
+            container.innerHTML = `
+                <div class="empty-state">
+                    <div class="empty-state-icon" aria-hidden="true">📋</div>
+                    <h3>No History Yet</h3>
+                    <p>Your medication history will appear here after you start tracking your medications.</p>
+                </div>
+            `;
+            return;
+        }
+        
+        // Sort history by dose day, then by when it was recorded (newest first)
+        const sortedHistory = [...this.history].sort((a, b) => 
+            (new Date(b.date) - new Date(a.date)) ||
+            (new Date(b.actualTime) - new Date(a.actualTime)) ||
+            (b.scheduledTime || '').localeCompare(a.scheduledTime || '')
+        );
+        
+        container.innerHTML = sortedHistory.map(entry => `
+            <div class="history-entry" role="article" aria-labelledby="history-${entry.id}">
+                <div class="history-date">${entry.date}</div>
+                <div id="history-${entry.id}" class="history-medication">${this.escapeHtml(entry.medicationName)}</div>
+                <div class="history-time">${entry.scheduledTime ? `Scheduled: ${this.formatTime(entry.scheduledTime)}` : 'Taken as needed'} | 
+                    Recorded: ${this.formatDateTime(entry.actualTime, entry.timeZone)}</div>
+                <span class="history-status status-${entry.action}" aria-label="Status: ${entry.action}">
+                    ${entry.action.charAt(0).toUpperCase() + entry.action.slice(1)}
+                </span>
+                ${entry.autoDetected ? '<div class="history-note">No dose was marked in time</div>' : ''}
+                ${this.renderSymptomNotes(entry)}
+                ${this.describeEdit(entry)}
+                <button class="secondary-btn" onclick="app.editDoseEntry('${entry.id}')"
+                        aria-label="Change or add a note to the record of ${this.escapeHtml(entry.medicationName)} on ${entry.date}">
+                    Change or Add Note
+                </button>
+            </div>
+        `).join('');
+    }
+
+    // Note under a dose that was recorded or changed after the fact, with when it was first recorded
+    describeEdit(entry) {
+        if (!entry.editedAt) return '';
+        return `<div class="history-note">Edited ${this.formatDateTime(entry.editedAt)} - first recorded ${this.formatDateTime(entry.recordedAt, entry.timeZone)}</div>`;
+    }
+
+    // Dose Editor - record a dose for an earlier time or day, or correct one, from the history list
+    // and the Records calendar. Doses recorded or changed this way are marked edited (editedAt)
+    // and keep the moment they were first recorded (recordedAt).
+    // With no medication given, the medication, dose and day are chosen in the dialog.
+    recordDose(medicationId = null, time = null, dateString = null) {
+        const entry = medicationId && time ? this.getDoseEntry(medicationId, time, dateString) : null;
+        this.openDoseEditor(entry, medicationId, time, dateString);
+    }
+
+    editDoseEntry(entryId) {
+        const entry = this.history.find(historyEntry => historyEntry.id === entryId);
+        if (!entry) return;
+        this.openDoseEditor(entry, entry.medicationId, entry.scheduledTime, entry.date);
+    }
+
+    openDoseEditor(entry, medicationId, time, dateString) {
+        const isChosen = !medicationId;
+        const medications = [...this.medications].sort((a, b) => a.name.localeCompare(b.name));
+        if (isChosen && medications.length === 0) {
+            this.showToast('Please add a medication first', 'info');
+            return;
+        }
+        
+        const modal = document.getElementById('dose-modal');
+        const medicationSelect = document.getElementById('dose-medication');
+        const timeSelect = document.getElementById('dose-time');
+        const dateInput = document.getElementById('dose-date');
+        const actionFields = document.getElementById('dose-action-fields');
+        const takenFields = document.getElementById('dose-taken-fields');
+        const takenInput = document.getElementById('dose-taken-time');
+        const errorEl = document.getElementById('dose-error');
+        const removeBtn = document.getElementById('dose-remove');
+        const actionInputs = document.querySelectorAll('input[name="dose-action"]');
+        const today = this.clock.now();
+        
+        const getMedication = () => this.medications.find(medication =>
+            medication.id === (isChosen ? medicationSelect.value : medicationId)
+        );
+        const getAction = () => document.querySelector('input[name="dose-action"]:checked').value;
+        
+        // As-needed doses have no time of their own and can only be taken
+        const fillDoseTimes = () => {
+            const medication = getMedication();
+            const day = dateInput.value ? this.parseDateInput(dateInput.value) : today;
+            const times = medication && !this.isAsNeeded(medication) ? [...this.getTimesOn(medication, day)].sort() : [];
+            timeSelect.innerHTML = times.length > 0
+                ? times.map(doseTime => `<option value="${doseTime}">${this.formatTime(doseTime)}</option>`).join('')
+                : '<option value="">As needed</option>';
+            // A record keeps its own time, even if the medication has since changed or been deleted
+            actionFields.hidden = isChosen ? times.length === 0 : !time;
+        };
+        
+        const updateTakenFields = () => {
+            takenFields.hidden = !actionFields.hidden && getAction() !== 'taken';
+        };
+        
+        medicationSelect.innerHTML = medications
+            .map(medication => `<option value="${medication.id}">${this.escapeHtml(medication.name)}</option>`)
+            .join('');
+        medicationSelect.value = isChosen ? medications[0].id : medicationId;
+        medicationSelect.onchange = () => {
+            fillDoseTimes();
+            updateTakenFields();
+        };
+        dateInput.value = this.toDateInputValue(dateString ? new Date(dateString) : today);
+        dateInput.max = this.toDateInputValue(today);
+        // The times on offer are the ones that applied on the chosen day
+        dateInput.onchange = medicationSelect.onchange;
+        fillDoseTimes();
+        document.getElementById('dose-choice-fields').hidden = !isChosen;
+        
+        const name = entry ? entry.medicationName : getMedication().name;
+        document.getElementById('dose-modal-title').textContent = entry ? 'Change a Dose' : 'Record a Dose';
+        document.getElementById('dose-modal-info').textContent = isChosen
+            ? 'Choose the medication, the dose and the day.'
+            : `${name}, ${time ? `${this.formatTime(time)} dose` : 'taken as needed'} on ${new Date(dateString).toLocaleDateString('en-US', { weekday: 'long', month: 'long', day: 'numeric' })}`;
+        
+        actionInputs.forEach(input => {
+            input.checked = input.value === (entry ? entry.action : 'taken');
+            input.onchange = updateTakenFields;
+        });
+        updateTakenFields();
+        
+        // Times are shown on the schedule clock, like the doses themselves
+        takenInput.value = entry && entry.action === 'taken'
+            ? this.clock.toScheduleTime(new Date(entry.actualTime)).toTimeString().slice(0, 5)
+            : time || today.toTimeString().slice(0, 5);
+        const shownTakenTime = takenInput.value;
+        
+        this.setupSymptomFields('dose', 'None', entry || {});
+        
+        errorEl.textContent = '';
+        removeBtn.hidden = !entry;
+        modal.setAttribute('aria-hidden', 'false');
+        
+        const close = () => {
+            modal.setAttribute('aria-hidden', 'true');
+        };
+        
+        const finish = (message, change) => {
+            close();
+            this.renderMedications();
+            if (this.currentScreen === 'history') {
+                this.renderHistory();
+            } else if (this.currentScreen === 'day-details') {
+                this.renderDayDetails(this.dayDetailsDate);
+            }
+            this.showUndoToast(message, change);
+        };
+        
+        document.getElementById('dose-save').onclick = () => {
+            const doseTime = isChosen ? timeSelect.value || null : time;
+            const doseDate = isChosen ? this.parseDateInput(dateInput.value) : new Date(dateString);
+            const action = actionFields.hidden ? 'taken' : getAction();
+            const [hours, minutes] = takenInput.value.split(':').map(Number);
+            const takenAt = this.clock.toDeviceTime(
+                new Date(doseDate.getFullYear(), doseDate.getMonth(), doseDate.getDate(), hours, minutes)
+            );
+            
+            const error = this.getDoseRecordError(doseDate, doseTime, action, takenInput.value ? takenAt : null);
+            if (error) {
+                errorEl.textContent = error;
+                return;
+            }
+            
+            // Only a taken dose has a time of its own; others keep theirs, or get the time the dose was due.
+            // A taken time left as shown keeps its seconds, so adding a note doesn't count as a correction.
+            const dateKey = doseDate.toDateString();
+            const keepsTime = entry && entry.action === action && takenInput.value === shownTakenTime;
+            let actualTime = takenInput.value && action === 'taken' && !keepsTime ? takenAt.toISOString() : null;
+            if (!actualTime) {
+                actualTime = entry ? entry.actualTime : this.getScheduledAt(doseTime, dateKey);
+            }
+            
+            const notes = this.readSymptomFields('dose');
+            const change = this.saveDoseRecord(entry, getMedication(), doseTime, dateKey, action, actualTime, notes);
+            finish(entry ? 'Dose changed' : 'Dose recorded', change);
+        };
+        
+        removeBtn.onclick = () => {
+            finish('Dose record removed', this.removeDoseEntry(entry));
+        };
+        
+        document.getElementById('dose-cancel').onclick = close;
+        
+        document.getElementById('dose-save').focus();
+    }
+
+    // Why a dose can't be recorded as asked, or null when it can
+    getDoseRecordError(doseDate, time, action, takenAt) {
+        const today = this.clock.now();
+        
+        if (isNaN(doseDate.getTime())) {
+            return 'Please choose the day.';
+        }
+        if (doseDate > new Date(today.getFullYear(), today.getMonth(), today.getDate())) {
+            return 'That day hasn\'t come yet. Doses can be recorded for today or earlier.';
+        }
+        if (action === 'taken' && !takenAt) {
+            return 'Please enter the time it was taken.';
+        }
+        if (action === 'taken' && takenAt > new Date()) {
+            return 'That time hasn\'t come yet. Please check the time it was taken.';
+        }
+        if (action === 'missed' && time && new Date(this.getScheduledAt(time, doseDate.toDateString())) > new Date()) {
+            return 'This dose isn\'t due yet, so it can\'t be missed.';
+        }
+        return null;
+    }
+
+    // Record or correct a dose, with its side effect and note. A scheduled dose keeps a single record, so any
+    // other entry for it (say, a missed one found automatically) is replaced. Only a new dose or a change of
+    // status or time marks it edited. Returns the logged change.
+    saveDoseRecord(entry, medication, time, dateString, action, actualTime, notes = {}) {
+        const medicationId = entry ? entry.medicationId : medication.id;
+        
+        if (!entry && time) {
+            entry = this.getDoseEntry(medicationId, time, dateString);
+        }
+        
+        const isOtherRecord = other =>
+            other !== entry &&
+            time &&
+            other.medicationId === medicationId &&
+            other.scheduledTime === time &&
+            other.date === dateString;
+        this.returnPills(this.history.filter(isOtherRecord));
+        this.history = this.history.filter(other => !isOtherRecord(other));
+        
+        const isNew = !entry;
+        const isCorrection = isNew || entry.action !== action || entry.actualTime !== actualTime;
+        
+        if (isNew) {
+            entry = this.createHistoryEntry(medication, action, time, new Date(dateString));
+            entry.recordedAt = entry.actualTime;
+            this.history.push(entry);
+        } else if (isCorrection) {
+            this.returnPills([entry]);
+            delete entry.pillsUsed;
+            entry.recordedAt = entry.recordedAt || entry.actualTime;
+        }
+        
+        if (isCorrection) {
+            entry.action = action;
+            entry.actualTime = actualTime;
+            entry.editedAt = new Date().toISOString();
+            delete entry.autoDetected;
+            
+            if (action === 'taken' && medication) {
+                this.usePills(medication, entry);
+            }
+        }
+        this.setSymptomNotes(entry, notes);
+        
+        // A dose settled this way needs no more reminders
+        if (time) {
+            this.cancelFollowUpReminder(medicationId, time, dateString);
+        }
+        
+        return this.saveData(isCorrection
+            ? `${isNew ? 'Recorded' : 'Changed'} ${this.describeDoseRecord(entry)} as ${action}`
+            : `Changed the notes on ${this.describeDoseRecord(entry)}`);
+    }
+
+    removeDoseEntry(entry) {
+        if (entry.scheduledTime) {
+            return this.removeMedicationRecord(entry.medicationId, entry.scheduledTime, entry.date);
+        }
+        
+        this.returnPills([entry]);
+        this.history = this.history.filter(other => other.id !== entry.id);
+        return this.saveData(`Removed the record of ${this.describeDoseRecord(entry)}`);
+    }
+
+    // e.g. "Lisinopril 8:00 AM dose on Oct 12", or "Tylenol dose on Oct 12" when taken as needed
+    describeDoseRecord(entry) {
+        const time = entry.scheduledTime ? ` ${this.formatTime(entry.scheduledTime)}` : '';
+        return `${entry.medicationName}${time} dose on ${this.formatShortDate(entry.date)}`;
+    }
+
+    // Side Effects and Notes - kept on dose entries and journal entries as sideEffect (a SIDE_EFFECTS key),
+    // severity (1 to 5) and note. The dose and journal dialogs share the fields, named by prefix.
+    setupSymptomFields(prefix, noneLabel, record) {
+        const sideEffectSelect = document.getElementById(`${prefix}-side-effect`);
+        const severitySelect = document.getElementById(`${prefix}-severity`);
+        const severityField = document.getElementById(`${prefix}-severity-field`);
+        
+        sideEffectSelect.innerHTML = `<option value="">${noneLabel}</option>` + Object.entries(SIDE_EFFECTS)
+            .map(([value, label]) => `<option value="${value}">${label}</option>`)
+            .join('');
+        severitySelect.innerHTML = '<option value="">Not sure</option>' + Object.entries(SEVERITY_LABELS)
+            .map(([value, label]) => `<option value="${value}">${value} - ${label}</option>`)
+            .join('');
+        
+        sideEffectSelect.value = SIDE_EFFECTS[record.sideEffect] ? record.sideEffect : '';
+        severitySelect.value = SEVERITY_LABELS[record.severity] ? String(record.severity) : '';
+        document.getElementById(`${prefix}-note`).value = record.note || '';
+        
+        // How bad only matters once there is a side effect
+        const updateSeverityField = () => {
+            severityField.hidden = !sideEffectSelect.value;
+        };
+        sideEffectSelect.onchange = updateSeverityField;
+        updateSeverityField();
+    }
+
+    readSymptomFields(prefix) {
+        const sideEffect = document.getElementById(`${prefix}-side-effect`).value || null;
+        return {
+            sideEffect,
+            severity: sideEffect ? parseInt(document.getElementById(`${prefix}-severity`).value) || null : null,
+            note: document.getElementById(`${prefix}-note`).value.trim() || null
+        };
+    }
+
+    // Empty fields are left off, so entries without notes stay as they were
+    setSymptomNotes(record, notes) {
+        ['sideEffect', 'severity', 'note'].forEach(field => {
+            if (notes[field]) {
+                record[field] = notes[field];
+            } else {
+                delete record[field];
+            }
+        });
+    }
+
+    // e.g. "Dizzy or light-headed (3 - Moderate)"
+    describeSideEffect(record) {
+        const label = SIDE_EFFECTS[record.sideEffect] || record.sideEffect;
+        return SEVERITY_LABELS[record.severity] ? `${label} (${record.severity} - ${SEVERITY_LABELS[record.severity]})` : label;
+    }
+
+    // The side effect and note of a dose or journal entry, for the history list and the journal
+    renderSymptomNotes(record) {
+        return `
+            ${record.sideEffect ? `<div class="entry-side-effect">Side effect: ${this.escapeHtml(this.describeSideEffect(record))}</div>` : ''}
+            ${record.note ? `<div class="entry-note">${this.escapeHtml(record.note)}</div>` : ''}
+        `;
+    }
+
+    // Symptom Journal - how the person felt each day, apart from any dose. Days also list the
+    // side effects and notes left on that day's doses, so everything a doctor may ask about is together.
+    showJournal() {
+        this.showScreen('journal');
+        this.renderJournal();
+    }
+
+    renderJournal() {
+        const container = document.getElementById('journal-list');
+        const doseNotes = this.history.filter(entry => entry.sideEffect || entry.note);
+        const days = [...new Set([...this.journal, ...doseNotes].map(record => record.date))]
+            .sort((a, b) => new Date(b) - new Date(a));
+        
+        if (days.length === 0) {
+            container.innerHTML = `
+                <div class="empty-state">
+                    <div class="empty-state-icon" aria-hidden="true">📓</div>
+                    <h3>Nothing Written Yet</h3>
+                    <p>Write down how you feel each day, such as feeling dizzy or tired. Side effects noted on doses will show here too.</p>
+                </div>
+            `;
+            return;
+        }
+        
+        container.innerHTML = days.map((date, index) => {
+            const journalEntries = this.journal
+                .filter(entry => entry.date === date)
+                .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+            const doseEntries = doseNotes
+                .filter(entry => entry.date === date)
+                .sort((a, b) => (a.scheduledTime || '').localeCompare(b.scheduledTime || ''));
+            
+            return `
+                <div class="history-entry" role="article" aria-labelledby="journal-day-${index}">
+                    <div id="journal-day-${index}" class="history-date">
+                        ${new Date(date).toLocaleDateString('en-US', { weekday: 'long', month: 'long', day: 'numeric' })}
+                    </div>
+                    ${journalEntries.map(entry => `
+                        <div class="journal-item">
+                            ${this.renderSymptomNotes(entry)}
+                            <button class="secondary-btn" onclick="app.openJournalEntry('${entry.id}')">Change</button>
+                        </div>
+                    `).join('')}
+                    ${doseEntries.map(entry => `
+                        <div class="journal-item">
+                            <div class="history-medication">
+                                ${this.escapeHtml(entry.medicationName)}${entry.scheduledTime ? `, ${this.formatTime(entry.scheduledTime)} dose` : ''}
+                            </div>
+                            ${this.renderSymptomNotes(entry)}
+                        </div>
+                    `).join('')}
+                </div>
+            `;
+        }).join('');
+    }
+
+    // Add a journal entry (for today unless another day is chosen), or change one
+    openJournalEntry(entryId = null) {
+        const entry = entryId ? this.journal.find(journalEntry => journalEntry.id === entryId) : null;
+        const modal = document.getElementById('journal-modal');
+        const dateInput = document.getElementById('journal-date');
+        const errorEl = document.getElementById('journal-error');
+        const deleteBtn = document.getElementById('journal-delete');
+        const today = this.clock.now();
+        
+        document.getElementById('journal-modal-title').textContent = entry ? 'Change Journal Entry' : 'How Are You Feeling?';
+        dateInput.value = this.toDateInputValue(entry ? new Date(entry.date) : today);
+        dateInput.max = this.toDateInputValue(today);
+        this.setupSymptomFields('journal', 'No symptoms', entry || {});
+        errorEl.textContent = '';
+        deleteBtn.hidden = !entry;
+        modal.setAttribute('aria-hidden', 'false');
+        
+        const close = () => {
+            modal.setAttribute('aria-hidden', 'true');
+        };
+        
+        const finish = (message, change) => {
+            close();
+            if (this.currentScreen === 'journal') {
+                this.renderJournal();
+            }
+            this.showUndoToast(message, change);
+        };
+        
+        document.getElementById('journal-save').onclick = () => {
+            const date = this.parseDateInput(dateInput.value);
+            const notes = this.readSymptomFields('journal');
+            
+            if (isNaN(date.getTime())) {
+                errorEl.textContent = 'Please choose the day.';
+                return;
+            }
+            if (date > new Date(today.getFullYear(), today.getMonth(), today.getDate())) {
+                errorEl.textContent = 'That day hasn\'t come yet. Please choose today or an earlier day.';
+                return;
+            }
+            if (!notes.sideEffect && !notes.note) {
+                errorEl.textContent = 'Please choose how you are feeling or write a note.';
+                return;
+            }
+            
+            finish('Journal saved', this.saveJournalEntry(entry, date.toDateString(), notes));
+        };
+        
+        deleteBtn.onclick = () => {
+            finish('Journal entry deleted', this.deleteJournalEntry(entry));
+        };
+        
+        document.getElementById('journal-cancel').onclick = close;
+        
+        document.getElementById('journal-side-effect').focus();
+    }
+
+    saveJournalEntry(entry, dateString, notes) {
+        const isNew = !entry;
+        if (isNew) {
+            entry = {
+                id: this.generateId(),
+                profileId: this.activeProfileId,
+                date: dateString,
+                createdAt: new Date().toISOString()
+            };
+            this.journal.push(entry);
+        } else {
+            entry.date = dateString;
+            entry.updatedAt = new Date().toISOString();
+        }
+        
+        this.setSymptomNotes(entry, notes);
+        return this.saveData(`${isNew ? 'Added' : 'Changed'} a journal entry for ${this.formatShortDate(dateString)}`);
+    }
+
+    deleteJournalEntry(entry) {
+        this.journal = this.journal.filter(other => other.id !== entry.id);
+        return this.saveData(`Deleted a journal entry for ${this.formatShortDate(entry.date)}`);
+    }
+
+    // Doctor Report - a printable summary to take to appointments, covering the last 30 days by default
+    showDoctorReport() {
+        const today = this.clock.now();
+        const monthAgo = new Date(today.getFullYear(), today.getMonth(), today.getDate() - 29);
+
+        document.getElementById('report-from').value = this.toDateInputValue(monthAgo);
+        document.getElementById('report-to').value = this.toDateInputValue(today);
+
+        this.showScreen('doctor-report');
+        this.renderDoctorReport();
+    }
+
+    // Returns false when the chosen dates can't be used
+    renderDoctorReport() {
+        const fromValue = document.getElementById('report-from').value;
+        const toValue = document.getElementById('report-to').value;
+        const errorElement = document.getElementById('report-error');
+        const container = document.getElementById('report-content');
+
+        if (!fromValue || !toValue) {
+            errorElement.textContent = 'Please choose both a start and an end date.';
+            return false;
+        }
+
+        const fromDate = this.parseDateInput(fromValue);
+        const toDate = this.parseDateInput(toValue);
+        if (fromDate > toDate) {
+            errorElement.textContent = 'The start date must be on or before the end date.';
+            return false;
+        }
+        errorElement.textContent = '';
+
+        const dateOptions = { year: 'numeric', month: 'long', day: 'numeric' };
+        const stats = this.getAdherenceStats();
+        const currentMedications = this.medications.filter(med => !med.archived);
+        const scheduledMedications = this.medications.filter(med => !this.isAsNeeded(med));
+
+        // Adherence and missed doses also cover medications archived since, as long as they were due in the range
+        const adherenceRows = [];
+        const notTaken = [];
+        scheduledMedications.forEach(medication => {
+            const doses = stats.getDueDosesBetween(medication, fromDate, toDate);
+            if (doses.length === 0) return;
+
+            adherenceRows.push({ medication, ...stats.countDoses(doses) });
+            doses
+                .filter(dose => dose.action !== 'taken')
+                .forEach(dose => notTaken.push({ medication, ...dose }));
+        });
+        notTaken.sort((a, b) => a.dueTime - b.dueTime);
+
+        // Doses in these periods weren't due, so they are listed rather than counted as missed
+        const rangeEnd = new Date(toDate.getFullYear(), toDate.getMonth(), toDate.getDate() + 1);
+        const pausedRows = [];
+        this.medications.forEach(medication => {
+            stats.getPausedPeriods(medication)
+                .filter(period => period.from < rangeEnd && (!period.to || period.to >= fromDate))
+                .forEach(period => pausedRows.push({ medication, ...period }));
+        });
+        pausedRows.sort((a, b) => a.from - b.from);
+        const reasonLabels = { paused: 'Paused', archived: 'Stopped' };
+        const periodDateOptions = { month: 'short', day: 'numeric', year: 'numeric' };
+
+        const asNeededCounts = {};
+        this.history.forEach(entry => {
+            const entryDate = new Date(entry.date);
+            if (entry.asNeeded && entry.action === 'taken' && entryDate >= fromDate && entryDate <= toDate) {
+                asNeededCounts[entry.medicationId] = (asNeededCounts[entry.medicationId] || 0) + 1;
+            }
+        });
+
+        const statusLabels = { skipped: 'Skipped', missed: 'Missed' };
+
+        container.innerHTML = `
+            <header class="report-header">
+                <h2>Medication Report${this.profiles.length > 1 ? ` for ${this.escapeHtml(this.getActiveProfile().name)}` : ''}</h2>
+                <p>${fromDate.toLocaleDateString('en-US', dateOptions)} to ${toDate.toLocaleDateString('en-US', dateOptions)}</p>
+                <p class="report-printed">Printed ${new Date().toLocaleDateString('en-US', dateOptions)}</p>
+            </header>
+
+            <section class="report-section">
+                <h3>Current Medications</h3>
+                ${currentMedications.length === 0 ? '<p>No medications.</p>' : `
+                    <table class="report-table">
+                        <thead>
+                            <tr><th scope="col">Medication</th><th scope="col">Dose</th><th scope="col">When</th><th scope="col">Status</th></tr>
+                        </thead>
+                        <tbody>
+                            ${currentMedications.map(medication => `
+                                <tr>
+                                    <td>${this.escapeHtml(medication.name)}</td>
+                                    <td>${this.escapeHtml(this.describeDoseInstruction(medication))}</td>
+                                    <td>
+                                        ${this.isAsNeeded(medication) ? '' : `${medication.times.map(time => this.formatTime(time)).join(', ')}<br>`}
+                                        ${this.escapeHtml(this.describeSchedule(medication))}
+                                        ${this.isAsNeeded(medication) ? `<br>Taken ${this.pluralize(asNeededCounts[medication.id] || 0, 'time')} in this period` : ''}
+                                    </td>
+                                    <td>${this.isMedicationActive(medication) ? 'Taking' : 'Paused'}</td>
+                                </tr>
+                            `).join('')}
+                        </tbody>
+                    </table>
+                `}
+            </section>
+
+            <section class="report-section">
+                <h3>Adherence</h3>
+                ${adherenceRows.length === 0 ? '<p>No scheduled doses were due in this period.</p>' : `
+                    <table class="report-table">
+                        <thead>
+                            <tr><th scope="col">Medication</th><th scope="col">Doses due</th><th scope="col">Taken</th><th scope="col">Skipped</th><th scope="col">Missed</th><th scope="col">Adherence</th></tr>
+                        </thead>
+                        <tbody>
+                            ${adherenceRows.map(row => `
+                                <tr>
+                                    <td>${this.escapeHtml(row.medication.name)}</td>
+                                    <td>${row.due}</td>
+                                    <td>${row.taken}</td>
+                                    <td>${row.skipped}</td>
+                                    <td>${row.missed}</td>
+                                    <td><strong>${Math.round(row.percent)}%</strong></td>
+                                </tr>
+                            `).join('')}
+                        </tbody>
+                    </table>
+                `}
+            </section>
+
+            ${pausedRows.length === 0 ? '' : `
+                <section class="report-section">
+                    <h3>Paused and Stopped</h3>
+                    <table class="report-table">
+                        <thead>
+                            <tr><th scope="col">Medication</th><th scope="col">Status</th><th scope="col">From</th><th scope="col">Until</th></tr>
+                        </thead>
+                        <tbody>
+                            ${pausedRows.map(row => `
+                                <tr>
+                                    <td>${this.escapeHtml(row.medication.name)}</td>
+                                    <td>${reasonLabels[row.reason] || 'Paused'}</td>
+                                    <td>${row.from.toLocaleDateString('en-US', periodDateOptions)}</td>
+                                    <td>${row.to ? row.to.toLocaleDateString('en-US', periodDateOptions) : 'Still ' + (reasonLabels[row.reason] || 'Paused').toLowerCase()}</td>
+                                </tr>
+                            `).join('')}
+                        </tbody>
+                    </table>
+                </section>
+            `}
+
+            <section class="report-section">
+                <h3>Missed and Skipped Doses</h3>
+                ${notTaken.length === 0 ? '<p>None - every dose due in this period was taken.</p>' : `
+                    <table class="report-table">
+                        <thead>
+                            <tr><th scope="col">Date</th><th scope="col">Time</th><th scope="col">Medication</th><th scope="col">Status</th></tr>
+                        </thead>
+                        <tbody>
+                            ${notTaken.map(dose => `
+                                <tr>
+                                    <td>${dose.date.toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric' })}</td>
+                                    <td>${this.formatTime(dose.time)}</td>
+                                    <td>${this.escapeHtml(dose.medication.name)}</td>
+                                    <td>${dose.action ? statusLabels[dose.action] : 'No record'}</td>
+                                </tr>
+                            `).join('')}
+                        </tbody>
+                    </table>
+                `}
+            </section>
+        `;
+
+        return true;
+    }
+
+    // Form Handling
+    setupMedicationForm() {
+        // Listeners only need to be attached once, however often the form is opened
+        if (this.medicationFormReady) return;
+        this.medicationFormReady = true;
+        
+        const form = document.getElementById('medication-form');
+        const timesSelect = document.getElementById('med-times');
+        const timeSlotsContainer = document.getElementById('time-slots');
+        
+        timesSelect.addEventListener('change', (e) => {
+            const times = parseInt(e.target.value);
+            this.generateTimeSlots(times, timeSlotsContainer);
+        });
+        
+        document.getElementById('med-schedule-type').addEventListener('change', (e) => {
+            this.updateScheduleOptions(e.target.value);
+        });
+        
+        document.getElementById('med-type').addEventListener('change', (e) => {
+            this.updateMedicationTypeFields(e.target.value);
+        });
+        
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.handleMedicationSubmit();
+        });
+    }
+
+    generateTimeSlots(count, container) {
+        if (!count) {
+            container.innerHTML = '';
+            return;
+        }
+        
+        const defaultTimes = ['08:00', '12:00', '18:00', '22:00'];
+        
+        container.innerHTML = Array.from({ length: count }, (_, i) => `
+            <div class="time-input-group">
+                <label for="time-${i + 1}" class="form-label">Time ${i + 1} *</label>
+                <input type="time" id="time-${i + 1}" class="time-input" required 
+                       value="${defaultTimes[i] || '08:00'}" 
+                       aria-describedby="time-${i + 1}-help">
+                <p id="time-${i + 1}-help" class="help-text">Set the time for dose ${i + 1}</p>
+            </div>
+        `).join('');
+    }
+
+    // Switch the form between fixed times and as-needed limits. Disabled fieldsets are skipped
+    // by the browser's required-field checks, so hidden fields never block saving.
+    updateMedicationTypeFields(type) {
+        const scheduledFields = document.getElementById('scheduled-fields');
+        const prnFields = document.getElementById('prn-fields');
+        const isPrn = type === 'prn';
+
+        scheduledFields.hidden = isPrn;
+        scheduledFields.disabled = isPrn;
+        prnFields.hidden = !isPrn;
+        prnFields.disabled = !isPrn;
+    }
+
+    // Put a medication's dose into the form, or the defaults for a new one
+    fillDoseFields(dose) {
+        const value = dose || {};
+        document.getElementById('med-strength').value = value.strength || '';
+        document.getElementById('med-unit').value = value.unit || 'mg';
+        document.getElementById('med-form').value = value.form || '';
+        document.getElementById('med-amount').value = value.amount || 1;
+        document.querySelectorAll('input[name="dose-instruction"]').forEach(checkbox => {
+            checkbox.checked = (value.instructions || []).includes(checkbox.value);
+        });
+        document.getElementById('med-dose-notes').value = value.notes || '';
+    }
+
+    readDoseFields() {
+        const strength = parseFloat(document.getElementById('med-strength').value);
+        return {
+            strength: strength > 0 ? strength : null,
+            unit: document.getElementById('med-unit').value,
+            form: document.getElementById('med-form').value,
+            amount: parseFloat(document.getElementById('med-amount').value) || 1,
+            instructions: [...document.querySelectorAll('input[name="dose-instruction"]:checked')].map(checkbox => checkbox.value),
+            notes: document.getElementById('med-dose-notes').value.trim()
+        };
+    }
+
+    // Show only the extra schedule fields that belong to the chosen schedule type
+    updateScheduleOptions(type) {
+        document.getElementById('schedule-weekdays').hidden = type !== 'weekdays';
+        document.getElementById('schedule-interval').hidden = type !== 'interval';
+        document.getElementById('schedule-cycle').hidden = type !== 'cycle';
+    }
+
+    // A medication from before schedules had start dates starts on the day it was added, or of
+    // its first dose if that is earlier, so saving it never hides its earlier days
+    fillScheduleFields(schedule, medication = null) {
+        const type = schedule ? schedule.type : 'daily';
+        document.getElementById('med-schedule-type').value = type;
+        document.querySelectorAll('input[name="schedule-day"]').forEach(checkbox => {
+            checkbox.checked = !!schedule && (schedule.daysOfWeek || []).includes(parseInt(checkbox.value));
+        });
+        if (schedule && schedule.intervalDays) {
+            document.getElementById('med-interval-days').value = schedule.intervalDays;
+        }
+        if (schedule && schedule.cycleDaysOn) {
+            document.getElementById('med-cycle-on').value = schedule.cycleDaysOn;
+            document.getElementById('med-cycle-off').value = schedule.cycleDaysOff;
+        }
+        document.getElementById('med-start-date').value = schedule && schedule.startDate
+            ? schedule.startDate
+            : this.toDateInputValue(medication ? this.getFirstDayOf(medication) : this.clock.now());
+        document.getElementById('med-end-date').value = schedule && schedule.endDate ? schedule.endDate : '';
+        this.updateScheduleOptions(type);
+    }
+
+    getFirstDayOf(medication) {
+        const days = this.history
+            .filter(entry => entry.medicationId === medication.id)
+            .map(entry => new Date(entry.date));
+        if (medication.createdAt) days.push(this.clock.toScheduleTime(new Date(medication.createdAt)));
+        return days.length > 0 ? new Date(Math.min(...days)) : this.clock.now();
+    }
+
+    // Read the schedule fields back into a schedule object, or return null after showing what is wrong
+    readScheduleFields() {
+        const type = document.getElementById('med-schedule-type').value;
+        const startDate = document.getElementById('med-start-date').value;
+        const endDate = document.getElementById('med-end-date').value || null;
+        const schedule = { type, startDate, endDate };
+
+        if (!startDate) {
+            this.showToast('Please choose a start date', 'error');
+            document.getElementById('med-start-date').focus();
+            return null;
+        }
+
+        if (endDate && endDate < startDate) {
+            this.showToast('The end date must be after the start date', 'error');
+            document.getElementById('med-end-date').focus();
+            return null;
+        }
+
+        if (type === 'weekdays') {
+            schedule.daysOfWeek = Array.from(document.querySelectorAll('input[name="schedule-day"]:checked'))
+                .map(checkbox => parseInt(checkbox.value));
+            if (schedule.daysOfWeek.length === 0) {
+                this.showToast('Please choose at least one day of the week', 'error');
+                return null;
+            }
+        } else if (type === 'interval') {
+            schedule.intervalDays = parseInt(document.getElementById('med-interval-days').value);
+            if (!(schedule.intervalDays >= 2)) {
+                this.showToast('Please enter how many days apart the doses are', 'error');
+                document.getElementById('med-interval-days').focus();
+                return null;
+            }
+        } else if (type === 'cycle') {
+            schedule.cycleDaysOn = parseInt(document.getElementById('med-cycle-on').value);
+            schedule.cycleDaysOff = parseInt(document.getElementById('med-cycle-off').value);
+            if (!(schedule.cycleDaysOn >= 1) || !(schedule.cycleDaysOff >= 1)) {
+                this.showToast('Please enter the number of days on and days off', 'error');
+                document.getElementById('med-cycle-on').focus();
+                return null;
+            }
+        }
+
+        return schedule;
+    }
+
+    // Open the medication form, either empty for a new medication or filled in for editing
+    // Adding and editing both come through here, so the caregiver PIN is asked for once, before the form opens
+    openMedicationForm(medication = null) {
+        if (!this.checkCaregiverPin(() => this.openMedicationForm(medication))) return;
+        this.setupMedicationForm();
+        
+        const form = document.getElementById('medication-form');
+        const timeSlotsContainer = document.getElementById('time-slots');
+        form.reset();
+        timeSlotsContainer.innerHTML = '';
+        
+        this.editingMedicationId = medication ? medication.id : null;
+        document.getElementById('add-med-title').textContent = medication ? 'Edit Medication' : 'Add Medication';
+        document.getElementById('save-med-label').textContent = medication ? 'Save Changes' : 'Save Medication';
+        this.fillScheduleFields(medication ? medication.schedule : null, medication);
+        this.fillDoseFields(medication ? medication.dose : null);
+        
+        const type = medication && this.isAsNeeded(medication) ? 'prn' : 'scheduled';
+        document.getElementById('med-type').value = type;
+        this.updateMedicationTypeFields(type);
+        
+        if (medication) {
+            document.getElementById('med-name').value = medication.name;
+            if (medication.minIntervalHours) {
+                document.getElementById('med-min-interval').value = medication.minIntervalHours;
+            }
+            if (medication.maxDosesPer24h) {
+                document.getElementById('med-max-doses').value = medication.maxDosesPer24h;
+            }
+            document.getElementById('med-grace').value = this.getGraceMinutes(medication);
+            document.getElementById('med-pills-on-hand').value = this.isTrackingPills(medication) ? medication.pillsOnHand : '';
+            document.getElementById('med-refill-days').value = medication.refillReminderDays || DEFAULT_REFILL_REMINDER_DAYS;
+            
+            const prescription = medication.prescription || {};
+            document.getElementById('med-rx-number').value = prescription.rxNumber || '';
+            document.getElementById('med-refills-left').value = typeof prescription.refillsLeft === 'number' ? prescription.refillsLeft : '';
+            document.getElementById('med-rx-expiry').value = prescription.expiryDate || '';
+            document.getElementById('med-pharmacy-name').value = prescription.pharmacyName || '';
+            document.getElementById('med-pharmacy-phone').value = prescription.pharmacyPhone || '';
+            document.getElementById('med-times').value = medication.times.length || '';
+            this.generateTimeSlots(medication.times.length, timeSlotsContainer);
+            medication.times.forEach((time, i) => {
+                const timeInput = document.getElementById(`time-${i + 1}`);
+                if (timeInput) timeInput.value = time;
+            });
+        }
+        
+        this.showScreen('add-medication');
+    }
+
+    editMedication(medicationId) {
+        const medication = this.medications.find(med => med.id === medicationId);
+        if (medication) {
+            this.openMedicationForm(medication);
+        }
+    }
+
+    closeMedicationForm() {
+        const returnScreen = this.editingMedicationId ? 'manage-medications' : 'main-menu';
+        this.editingMedicationId = null;
+        
+        if (returnScreen === 'manage-medications') {
+            this.showMedicationManagement();
+        } else {
             this.showScreen('main-menu');
-            notification.close();
+        }
+    }
+
+    handleMedicationSubmit() {
+        const form = document.getElementById('medication-form');
+        const formData = new FormData(form);
+        
+        const name = document.getElementById('med-name').value;
+        const type = document.getElementById('med-type').value;
+        const timesPerDay = parseInt(document.getElementById('med-times').value);
+        
+        if (!name.trim()) {
+            this.showToast('Please enter a medication name', 'error');
+            document.getElementById('med-name').focus();
+            return;
+        }
+        
+        if (type === 'prn') {
+            this.handleAsNeededSubmit(name);
+            return;
+        }
+        
+        if (!timesPerDay) {
+            this.showToast('Please select how many times per day', 'error');
+            document.getElementById('med-times').focus();
+            return;
+        }
+        
+        const times = [];
+        for (let i = 1; i <= timesPerDay; i++) {
+            const timeInput = document.getElementById(`time-${i}`);
+            if (timeInput && timeInput.value) {
+                times.push(timeInput.value);
+            }
+        }
+        
+        if (times.length !== timesPerDay) {
+            this.showToast('Please set all required times', 'error');
+            return;
+        }
+        
+        const schedule = this.readScheduleFields();
+        if (!schedule) return;
+        
+        this.saveMedicationForm({
+            name,
+            type,
+            timesPerDay,
+            times: times.sort(), // Sort times chronologically
+            schedule,
+            graceMinutes: parseInt(document.getElementById('med-grace').value)
+        });
+    }
+
+    handleAsNeededSubmit(name) {
+        const minIntervalHours = parseFloat(document.getElementById('med-min-interval').value);
+        const maxDosesPer24h = parseInt(document.getElementById('med-max-doses').value);
+        
+        if (!(minIntervalHours > 0)) {
+            this.showToast('Please enter the hours between doses', 'error');
+            document.getElementById('med-min-interval').focus();
+            return;
+        }
+        
+        if (!(maxDosesPer24h >= 1)) {
+            this.showToast('Please enter the most doses allowed in 24 hours', 'error');
+            document.getElementById('med-max-doses').focus();
+            return;
+        }
+        
+        this.saveMedicationForm({
+            name,
+            type: 'prn',
+            timesPerDay: 0,
+            times: [],
+            schedule: null,
+            minIntervalHours,
+            maxDosesPer24h
+        });
+    }
+
+    async saveMedicationForm(medicationData) {
+        medicationData.dose = this.readDoseFields();
+        
+        const pillsOnHand = document.getElementById('med-pills-on-hand').value;
+        medicationData.pillsOnHand = pillsOnHand === '' ? null : Math.max(0, parseFloat(pillsOnHand));
+        medicationData.refillReminderDays = parseInt(document.getElementById('med-refill-days').value);
+        
+        const refillsLeft = document.getElementById('med-refills-left').value;
+        medicationData.prescription = {
+            rxNumber: document.getElementById('med-rx-number').value.trim(),
+            refillsLeft: refillsLeft === '' ? null : Math.max(0, parseInt(refillsLeft)),
+            expiryDate: document.getElementById('med-rx-expiry').value,
+            pharmacyName: document.getElementById('med-pharmacy-name').value.trim(),
+            pharmacyPhone: document.getElementById('med-pharmacy-phone').value.trim()
         };
+        
+        const warnings = await this.checkInteractions(medicationData);
+        if (warnings.length > 0) {
+            this.showConfirmDialog(
+                'Please Check With Your Pharmacist',
+                `${warnings.join('\n\n')}\n\nAsk your doctor or pharmacist before taking these together. Save anyway?`,
+                () => this.finishSavingMedication(medicationData)
+            );
+            return;
+        }
+        
+        this.finishSavingMedication(medicationData);
     }
 
-    playNotificationSound() {
-        // Create a simple beep sound using Web Audio API
+    finishSavingMedication(medicationData) {
+        if (this.editingMedicationId) {
+            this.updateMedication(this.editingMedicationId, medicationData);
+        } else {
+            this.addMedication(medicationData);
+        }
+        
+        document.getElementById('medication-form').reset();
+        document.getElementById('time-slots').innerHTML = '';
+        this.closeMedicationForm();
+    }
+
+    // Drug Interactions - checked on this device against the bundled dataset; nothing is sent anywhere
+    loadInteractionData() {
+        if (!this.interactionDataPromise) {
+            this.interactionDataPromise = fetch(INTERACTIONS_URL)
+                .then(response => {
+                    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+                    return response.json();
+                })
+                .catch(error => {
+                    console.error('Error loading interaction data:', error);
+                    this.interactionDataPromise = null; // Try again on the next save
+                    return null;
+                });
+        }
+        return this.interactionDataPromise;
+    }
+
+    // Warnings for a medication being saved, compared with everything else the user takes.
+    // When editing, warnings that already applied before the change aren't repeated.
+    async checkInteractions(medicationData) {
+        const data = await this.loadInteractionData();
+        if (!data) return [];
+        
+        const otherMedications = this.medications.filter(med => !med.archived && med.id !== this.editingMedicationId);
+        const warnings = this.getInteractionWarnings(medicationData, otherMedications, data);
+        
+        const original = this.medications.find(med => med.id === this.editingMedicationId);
+        if (!original) return warnings;
+        
+        const previousWarnings = this.getInteractionWarnings(original, otherMedications, data);
+        return warnings.filter(warning => !previousWarnings.includes(warning));
+    }
+
+    // Active ingredients named in a medication's name or instructions - "NyQuil" gives acetaminophen,
+    // dextromethorphan and doxylamine
+    findIngredients(medication, data) {
+        const notes = medication.dose ? medication.dose.notes : '';
+        const text = ` ${`${medication.name} ${notes || ''}`.toLowerCase().replace(/[^a-z0-9-]+/g, ' ')} `;
+        const mentions = name => text.includes(` ${name} `);
+        const ingredients = new Set();
+        
+        Object.entries(data.ingredients).forEach(([ingredient, info]) => {
+            if (info.names.some(mentions)) ingredients.add(ingredient);
+        });
+        Object.entries(data.products).forEach(([product, productIngredients]) => {
+            if (mentions(product)) productIngredients.forEach(ingredient => ingredients.add(ingredient));
+        });
+        
+        return ingredients;
+    }
+
+    getInteractionWarnings(medication, otherMedications, data) {
+        const ingredients = this.findIngredients(medication, data);
+        if (ingredients.size === 0) return [];
+        
+        // An interaction names an ingredient or a group of them, such as "NSAID pain relievers"
+        const expand = term => data.groups[term] || [term];
+        const containsAny = (found, term) => expand(term).some(ingredient => found.has(ingredient));
+        const warnings = [];
+        
+        otherMedications.forEach(other => {
+            const otherIngredients = this.findIngredients(other, data);
+            
+            ingredients.forEach(ingredient => {
+                if (otherIngredients.has(ingredient)) {
+                    const risk = data.ingredients[ingredient].duplicateWarning || 'Taking both could mean a double dose.';
+                    warnings.push(`${medication.name.trim()} and ${other.name} both contain ${ingredient}. ${risk}`);
+                }
+            });
+            
+            data.interactions.forEach(({ between: [first, second], warning }) => {
+                if ((containsAny(ingredients, first) && containsAny(otherIngredients, second)) ||
+                    (containsAny(ingredients, second) && containsAny(otherIngredients, first))) {
+                    warnings.push(`${medication.name.trim()} and ${other.name}: ${warning}`);
+                }
+            });
+        });
+        
+        return warnings;
+    }
+
+    // Data Import/Export
+    // Ask whether to protect the backup with a passphrase, then save it
+    exportData() {
+        const modal = document.getElementById('export-modal');
+        const encryptCheckbox = document.getElementById('export-encrypt');
+        const passphraseFields = document.getElementById('export-passphrase-fields');
+        const passphraseInput = document.getElementById('export-passphrase');
+        const confirmInput = document.getElementById('export-passphrase-confirm');
+        const errorEl = document.getElementById('export-error');
+        
+        const encryptOption = document.getElementById('export-encrypt-option');
+        const formatInputs = document.querySelectorAll('input[name="export-format"]');
+        const getFormat = () => document.querySelector('input[name="export-format"]:checked').value;
+        
+        formatInputs.forEach(input => {
+            input.checked = input.value === 'backup';
+            // Only backups can be protected - spreadsheets and clinic systems can't open encrypted files
+            input.onchange = () => {
+                encryptOption.hidden = getFormat() !== 'backup';
+                encryptCheckbox.checked = false;
+                passphraseFields.hidden = true;
+                errorEl.textContent = '';
+            };
+        });
+        encryptOption.hidden = false;
+        encryptCheckbox.checked = false;
+        passphraseFields.hidden = true;
+        passphraseInput.value = '';
+        confirmInput.value = '';
+        errorEl.textContent = '';
+        modal.setAttribute('aria-hidden', 'false');
+        
+        encryptCheckbox.onchange = () => {
+            passphraseFields.hidden = !encryptCheckbox.checked;
+            errorEl.textContent = '';
+            if (encryptCheckbox.checked) passphraseInput.focus();
+        };
+        
+        document.getElementById('export-confirm').onclick = async () => {
+            const format = getFormat();
+            let passphrase = null;
+            
+            if (format !== 'backup') {
+                modal.setAttribute('aria-hidden', 'true');
+                if (format === 'csv') {
+                    this.saveHistoryCsv();
+                } else {
+                    this.saveFhirBundle();
+                }
+                return;
+            }
+            
+            if (encryptCheckbox.checked) {
+                passphrase = passphraseInput.value;
+                if (passphrase.length < 8) {
+                    errorEl.textContent = 'Please use a passphrase of at least 8 characters.';
+                    passphraseInput.focus();
+                    return;
+                }
+                if (passphrase !== confirmInput.value) {
+                    errorEl.textContent = 'The two passphrases do not match. Please type them again.';
+                    confirmInput.focus();
+                    return;
+                }
+            }
+            
+            modal.setAttribute('aria-hidden', 'true');
+            passphraseInput.value = '';
+            confirmInput.value = '';
+            await this.saveBackupFile(passphrase);
+        };
+        
+        document.getElementById('export-cancel').onclick = () => {
+            modal.setAttribute('aria-hidden', 'true');
+            passphraseInput.value = '';
+            confirmInput.value = '';
+        };
+        
+        document.getElementById('export-confirm').focus();
+    }
+
+    async saveBackupFile(passphrase = null) {
         try {
-            const audioContext = new (window.AudioContext || window.webkitAudioContext)();
-            const oscillator = audioContext.createOscillator();
-            const gainNode = audioContext.createGain();
+            // A backup holds the person on screen - each profile is exported on its own
+            const data = {
+                profile: { name: this.getActiveProfile().name },
+                medications: this.medications,
+                history: this.history,
+                journal: this.journal,
+                settings: this.settings,
+                exportDate: new Date().toISOString(),
+                version: EXPORT_VERSION
+            };
             
-            oscillator.connect(gainNode);
-            gainNode.connect(audioContext.destination);
+            let jsonString = JSON.stringify(data, null, 2);
+            let fileName = this.getExportFileName('medication-data', 'json');
+            
+            if (passphrase) {
+                jsonString = JSON.stringify(await this.encryptBackup(jsonString, passphrase), null, 2);
+                fileName = this.getExportFileName('medication-data-protected', 'json');
+            }
+            
+            this.downloadFile(jsonString, fileName, 'application/json');
+            
+            this.showToast(passphrase ? 'Protected backup exported successfully' : 'Data exported successfully', 'success');
+        } catch (error) {
+            console.error('Export error:', error);
+            this.showToast('Error exporting data', 'error');
+        }
+    }
+
+    // Export file names say whose data it is once more than one person uses the app
+    getExportFileName(prefix, extension) {
+        const date = new Date().toISOString().split('T')[0];
+        const person = this.profiles.length > 1
+            ? this.getActiveProfile().name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '')
+            : '';
+        return person ? `${prefix}-${person}-${date}.${extension}` : `${prefix}-${date}.${extension}`;
+    }
+
+    // CSV Export - one row per history entry, oldest first, for spreadsheets
+    saveHistoryCsv() {
+        try {
+            this.downloadFile(this.buildHistoryCsv(), this.getExportFileName('medication-history', 'csv'), 'text/csv;charset=utf-8');
+            this.showToast('Spreadsheet exported successfully', 'success');
+        } catch (error) {
+            console.error('CSV export error:', error);
+            this.showToast('Error exporting spreadsheet', 'error');
+        }
+    }
+
+    buildHistoryCsv() {
+        const statusLabels = { taken: 'Taken', skipped: 'Skipped', missed: 'Missed' };
+        const rows = [['Date', 'Medication', 'Dosage', 'Scheduled Time', 'Recorded Time', 'Time Zone', 'Status', 'Edited', 'First Recorded',
+            'Side Effect', 'Severity', 'Note']];
+        
+        const sortedHistory = [...this.history].sort((a, b) =>
+            (new Date(a.date) - new Date(b.date)) ||
+            (a.scheduledTime || '').localeCompare(b.scheduledTime || '') ||
+            (new Date(a.actualTime) - new Date(b.actualTime))
+        );
+        
+        const datedRows = sortedHistory.map(entry => {
+            const medication = this.medications.find(med => med.id === entry.medicationId);
+            const recorded = new Date(entry.actualTime);
+            const firstRecorded = entry.recordedAt ? new Date(entry.recordedAt) : null;
+            
+            return { date: entry.date, row: [
+                this.toDateInputValue(new Date(entry.date)),
+                entry.medicationName,
+                medication ? this.describeDose(medication) : '',
+                entry.scheduledTime || 'As needed',
+                `${this.toDateInputValue(recorded)} ${recorded.toTimeString().slice(0, 5)}`,
+                entry.timeZone || '',
+                statusLabels[entry.action] || entry.action,
+                entry.editedAt ? 'Yes' : '',
+                firstRecorded ? `${this.toDateInputValue(firstRecorded)} ${firstRecorded.toTimeString().slice(0, 5)}` : '',
+                ...this.getSymptomCsvFields(entry)
+            ] };
+        });
+        
+        // Symptom journal entries go in the same table, after the doses of their day
+        this.journal.forEach(entry => {
+            const written = new Date(entry.createdAt);
+            datedRows.push({ date: entry.date, row: [
+                this.toDateInputValue(new Date(entry.date)),
+                '',
+                '',
+                '',
+                `${this.toDateInputValue(written)} ${written.toTimeString().slice(0, 5)}`,
+                '',
+                'Symptom journal',
+                entry.updatedAt ? 'Yes' : '',
+                '',
+                ...this.getSymptomCsvFields(entry)
+            ] });
+        });
+        datedRows
+            .sort((a, b) => new Date(a.date) - new Date(b.date))
+            .forEach(({ row }) => rows.push(row));
+        
+        // Byte order mark so spreadsheet programs read names with accents correctly
+        return '\uFEFF' + rows.map(row => row.map(value => this.toCsvField(value)).join(',')).join('\r\n');
+    }
+
+    // Side Effect, Severity and Note columns for a dose or journal entry
+    getSymptomCsvFields(entry) {
+        return [
+            entry.sideEffect ? SIDE_EFFECTS[entry.sideEffect] || entry.sideEffect : '',
+            entry.severity || '',
+            entry.note || ''
+        ];
+    }
+
+    toCsvField(value) {
+        let text = String(value === undefined || value === null ? '' : value);
+        // Stop spreadsheets from treating names like "=SUM(...)" as formulas
+        if (/^[=+\-@]/.test(text)) {
+            text = `'${text}`;
+        }
+        if (/[",\r\n]/.test(text)) {
+            text = `"${text.replace(/"/g, '""')}"`;
+        }
+        return text;
+    }
+
+    // FHIR Export - an HL7 FHIR R4 collection Bundle: one MedicationStatement per
+    // medication and one MedicationAdministration per scheduled or as-needed dose
+    saveFhirBundle() {
+        try {
+            const bundle = this.buildFhirBundle();
+            this.downloadFile(JSON.stringify(bundle, null, 2), this.getExportFileName('medication-fhir', 'json'), 'application/fhir+json');
+            this.showToast('Clinic file exported successfully', 'success');
+        } catch (error) {
+            console.error('FHIR export error:', error);
+            this.showToast('Error exporting clinic file', 'error');
+        }
+    }
+
+    buildFhirBundle() {
+        const subject = { display: this.profiles.length > 1 ? this.getActiveProfile().name : 'Patient' };
+        const resources = [
+            ...this.medications.map(medication => this.toFhirMedicationStatement(medication, subject)),
+            ...this.history.map(entry => this.toFhirMedicationAdministration(entry, subject)),
+            ...this.journal.map(entry => this.toFhirObservation(entry, subject))
+        ];
+        
+        return {
+            resourceType: 'Bundle',
+            type: 'collection',
+            timestamp: new Date().toISOString(),
+            entry: resources.map(resource => ({
+                fullUrl: `urn:uuid:${crypto.randomUUID()}`,
+                resource
+            }))
+        };
+    }
+
+    toFhirMedicationStatement(medication, subject) {
+        let status = 'active';
+        if (medication.archived) {
+            status = 'stopped';
+        } else if (!this.isMedicationActive(medication)) {
+            status = 'on-hold';
+        }
+        
+        const dosage = {
+            text: [this.describeDoseInstruction(medication), this.describeSchedule(medication)].filter(Boolean).join(' - '),
+            asNeededBoolean: this.isAsNeeded(medication)
+        };
+        
+        const dose = medication.dose || {};
+        if (dose.form && DOSE_FORMS[dose.form]) {
+            dosage.doseAndRate = [{
+                doseQuantity: { value: dose.amount || 1, unit: DOSE_FORMS[dose.form].plural }
+            }];
+        }
+        const instructions = (dose.instructions || []).filter(key => DOSE_INSTRUCTIONS[key]);
+        if (instructions.length > 0) {
+            dosage.additionalInstruction = instructions.map(key => ({ text: DOSE_INSTRUCTIONS[key] }));
+        }
+        
+        if (this.isAsNeeded(medication)) {
+            dosage.maxDosePerPeriod = {
+                numerator: { value: medication.maxDosesPer24h },
+                denominator: { value: 24, unit: 'h', system: 'http://unitsofmeasure.org', code: 'h' }
+            };
+        } else {
+            const repeat = {
+                timeOfDay: medication.times.map(time => `${time}:00`)
+            };
+            const schedule = medication.schedule || { type: 'daily' };
+            
+            if (schedule.type === 'weekdays') {
+                const fhirDays = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+                repeat.dayOfWeek = (schedule.daysOfWeek || []).map(day => fhirDays[day]);
+            } else if (schedule.type === 'interval') {
+                repeat.frequency = 1;
+                repeat.period = schedule.intervalDays;
+                repeat.periodUnit = 'd';
+            }
+            if (schedule.startDate || schedule.endDate) {
+                repeat.boundsPeriod = {};
+                if (schedule.startDate) repeat.boundsPeriod.start = schedule.startDate;
+                if (schedule.endDate) repeat.boundsPeriod.end = schedule.endDate;
+            }
+            
+            dosage.timing = { repeat };
+        }
+        
+        const statement = {
+            resourceType: 'MedicationStatement',
+            identifier: [{ value: medication.id }],
+            status,
+            medicationCodeableConcept: { text: medication.name },
+            subject,
+            dateAsserted: new Date().toISOString(),
+            dosage: [dosage]
+        };
+        
+        if (medication.createdAt) {
+            statement.effectivePeriod = { start: medication.createdAt };
+            if (medication.archivedAt) statement.effectivePeriod.end = medication.archivedAt;
+        }
+        
+        return statement;
+    }
+
+    toFhirMedicationAdministration(entry, subject) {
+        const medication = this.medications.find(med => med.id === entry.medicationId);
+        const administration = {
+            resourceType: 'MedicationAdministration',
+            identifier: [{ value: entry.id }],
+            status: entry.action === 'taken' ? 'completed' : 'not-done',
+            medicationCodeableConcept: { text: entry.medicationName },
+            subject
+        };
+        
+        if (entry.action === 'taken') {
+            administration.effectiveDateTime = new Date(entry.actualTime).toISOString();
+        } else {
+            // Doses that weren't taken are dated by when they were due
+            administration.effectiveDateTime = entry.scheduledAt || this.getScheduledAt(entry.scheduledTime, entry.date);
+            administration.statusReason = [{ text: entry.action === 'skipped' ? 'Skipped' : 'Missed' }];
+        }
+        
+        if (medication && this.describeDose(medication)) {
+            administration.dosage = { text: this.describeDose(medication) };
+        }
+        
+        const notes = [];
+        if (entry.asNeeded) notes.push('Taken as needed');
+        if (entry.scheduledTime) notes.push(`Scheduled for ${entry.scheduledTime}`);
+        if (entry.autoDetected) notes.push('No dose was marked in time');
+        if (entry.sideEffect) notes.push(`Side effect: ${this.describeSideEffect(entry)}`);
+        if (entry.note) notes.push(entry.note);
+        if (notes.length > 0) {
+            administration.note = notes.map(text => ({ text }));
+        }
+        
+        return administration;
+    }
+
+    // A symptom journal entry, dated by its day
+    toFhirObservation(entry, subject) {
+        const observation = {
+            resourceType: 'Observation',
+            identifier: [{ value: entry.id }],
+            status: 'final',
+            code: { text: 'Symptom journal' },
+            subject,
+            effectiveDateTime: this.toDateInputValue(new Date(entry.date))
+        };
+        
+        if (entry.sideEffect) {
+            observation.valueString = this.describeSideEffect(entry);
+        }
+        if (entry.note) {
+            observation.note = [{ text: entry.note }];
+        }
+        
+        return observation;
+    }
+
+    downloadFile(content, fileName, type) {
+        const blob = new Blob([content], { type });
+        const url = URL.createObjectURL(blob);
+        
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = fileName;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
+    }
+
+    // Backup Encryption - WebCrypto only: PBKDF2 turns the passphrase into an AES-GCM key
+    async deriveBackupKey(passphrase, salt, iterations) {
+        const passphraseKey = await crypto.subtle.importKey(
+            'raw',
+            new TextEncoder().encode(passphrase),
+            'PBKDF2',
+            false,
+            ['deriveKey']
+        );
+        
+        return crypto.subtle.deriveKey(
+            { name: 'PBKDF2', salt, iterations, hash: 'SHA-256' },
+            passphraseKey,
+            { name: 'AES-GCM', length: 256 },
+            false,
+            ['encrypt', 'decrypt']
+        );
+    }
+
+    async encryptBackup(plainText, passphrase) {
+        const salt = crypto.getRandomValues(new Uint8Array(16));
+        const iv = crypto.getRandomValues(new Uint8Array(12));
+        const iterations = 250000;
+        
+        const key = await this.deriveBackupKey(passphrase, salt, iterations);
+        const cipherText = await crypto.subtle.encrypt(
+            { name: 'AES-GCM', iv },
+            key,
+            new TextEncoder().encode(plainText)
+        );
+        
+        return {
+            format: ENCRYPTED_BACKUP_FORMAT,
+            version: EXPORT_VERSION,
+            exportDate: new Date().toISOString(),
+            kdf: { name: 'PBKDF2', hash: 'SHA-256', iterations, salt: this.bytesToBase64(salt) },
+            cipher: { name: 'AES-GCM', iv: this.bytesToBase64(iv) },
+            data: this.bytesToBase64(new Uint8Array(cipherText))
+        };
+    }
+
+    // Throws if the passphrase is wrong - AES-GCM refuses to decrypt when the key does not match
+    async decryptBackup(fileData, passphrase) {
+        const key = await this.deriveBackupKey(
+            passphrase,
+            this.base64ToBytes(fileData.kdf.salt),
+            fileData.kdf.iterations
+        );
+        const plainText = await crypto.subtle.decrypt(
+            { name: 'AES-GCM', iv: this.base64ToBytes(fileData.cipher.iv) },
+            key,
+            this.base64ToBytes(fileData.data)
+        );
+        
+        return new TextDecoder().decode(plainText);
+    }
+
+    isEncryptedBackup(data) {
+        return !!data && data.format === ENCRYPTED_BACKUP_FORMAT;
+    }
+
+    bytesToBase64(bytes) {
+        let binary = '';
+        bytes.forEach(byte => {
+            binary += String.fromCharCode(byte);
+        });
+        return btoa(binary);
+    }
+
+    base64ToBytes(base64) {
+        return Uint8Array.from(atob(base64), char => char.charCodeAt(0));
+    }
+
+    // Ask for the passphrase of a protected backup, keeping the dialog open until it works or is cancelled
+    requestBackupPassphrase(fileData, onDecrypted) {
+        const modal = document.getElementById('passphrase-modal');
+        const input = document.getElementById('import-passphrase');
+        const errorEl = document.getElementById('passphrase-error');
+        const confirmBtn = document.getElementById('passphrase-confirm');
+        
+        input.value = '';
+        errorEl.textContent = '';
+        modal.setAttribute('aria-hidden', 'false');
+        
+        const close = () => {
+            input.value = '';
+            input.onkeydown = null;
+            modal.setAttribute('aria-hidden', 'true');
+        };
+        
+        confirmBtn.onclick = async () => {
+            if (!input.value) {
+                errorEl.textContent = 'Please enter the passphrase.';
+                input.focus();
+                return;
+            }
+            
+            confirmBtn.disabled = true;
+            errorEl.textContent = '';
+            
+            try {
+                const plainText = await this.decryptBackup(fileData, input.value);
+                close();
+                onDecrypted(plainText);
+            } catch (error) {
+                console.error('Backup decryption failed:', error);
+                errorEl.textContent = 'That passphrase did not open the file. Please check it and try again.';
+                input.select();
+            } finally {
+                confirmBtn.disabled = false;
+            }
+        };
+        
+        input.onkeydown = (e) => {
+            if (e.key === 'Enter') confirmBtn.click();
+        };
+        
+        document.getElementById('passphrase-cancel').onclick = () => {
+            close();
+            this.showToast('Import cancelled - nothing was changed', 'info');
+        };
+        
+        input.focus();
+    }
+
+    importData() {
+        if (!this.checkCaregiverPin(() => this.importData())) return;
+        const input = document.getElementById('import-file');
+        // Clear the last choice so picking the same file again still triggers a change
+        input.value = '';
+        input.click();
+        
+        input.onchange = (e) => {
+            const file = e.target.files[0];
+            if (!file) return;
+            
+            const reader = new FileReader();
+            reader.onload = (e) => {
+                let data;
+                try {
+                    data = JSON.parse(e.target.result);
+                } catch (error) {
+                    console.error('Import error:', error);
+                    this.showToast('This file could not be read. Please choose a backup file saved from this app.', 'error');
+                    return;
+                }
+                
+                if (this.isEncryptedBackup(data)) {
+                    this.requestBackupPassphrase(data, (plainText) => {
+                        this.previewImportFile(JSON.parse(plainText), file.name);
+                    });
+                    return;
+                }
+                
+                this.previewImportFile(data, file.name);
+            };
+            
+            reader.readAsText(file);
+        };
+    }
+
+    // details are extra lines shown with the preview, such as the summary that comes with a QR code
+    async previewImportFile(data, fileName, details = []) {
+        const errors = this.validateImportData(data);
+        if (errors.length > 0) {
+            console.error('Import validation failed:', errors);
+            this.showImportErrors(errors);
+            return;
+        }
+        
+        try {
+            const upgraded = await this.assignImportToProfile(this.upgradeImportData(data));
+            this.showImportPreview(upgraded, fileName, data.profile && data.profile.name, details);
+        } catch (error) {
+            console.error('Import error:', error);
+            this.showToast('Error loading saved data', 'error');
+        }
+    }
+
+    // Imports go into the profile on screen. Ids are unique across the whole database, so records
+    // that belong to someone else on this device (say, Mom's backup loaded into Dad's profile) get new ids.
+    async assignImportToProfile(data) {
+        const [medicationIds, historyIds, journalIds] = this.store
+            ? await Promise.all(['medications', 'history', 'journal'].map(storeName => this.store.getAllKeys(storeName)))
+            : [[], [], []];
+        const ownMedicationIds = new Set(this.medications.map(medication => medication.id));
+        const ownHistoryIds = new Set(this.history.map(entry => entry.id));
+        const ownJournalIds = new Set(this.journal.map(entry => entry.id));
+        const otherMedicationIds = new Set(medicationIds.filter(id => !ownMedicationIds.has(id)));
+        const otherHistoryIds = new Set(historyIds.filter(id => !ownHistoryIds.has(id)));
+        const otherJournalIds = new Set(journalIds.filter(id => !ownJournalIds.has(id)));
+        const newMedicationIds = new Map();
+        
+        data.medications.forEach(medication => {
+            if (otherMedicationIds.has(medication.id)) {
+                newMedicationIds.set(medication.id, this.generateId());
+                medication.id = newMedicationIds.get(medication.id);
+            }
+            medication.profileId = this.activeProfileId;
+        });
+        
+        data.history.forEach(entry => {
+            if (newMedicationIds.has(entry.medicationId)) {
+                entry.medicationId = newMedicationIds.get(entry.medicationId);
+            }
+            if (otherHistoryIds.has(entry.id)) {
+                entry.id = this.generateId();
+            }
+            entry.profileId = this.activeProfileId;
+        });
+        
+        data.journal.forEach(entry => {
+            if (otherJournalIds.has(entry.id)) {
+                entry.id = this.generateId();
+            }
+            entry.profileId = this.activeProfileId;
+        });
+        
+        return data;
+    }
+
+    // Check an imported file and describe every problem in plain language (empty when the file is fine)
+    validateImportData(data) {
+        const errors = [];
+        
+        if (!data || typeof data !== 'object' || Array.isArray(data) ||
+            (!Array.isArray(data.medications) && !Array.isArray(data.history))) {
+            return ['This file is not a Senior Med Tracker backup.'];
+        }
+        
+        if (data.version && parseFloat(data.version) > parseFloat(EXPORT_VERSION)) {
+            return ['This backup was made by a newer version of the app. Please update the app and try again.'];
+        }
+        
+        if (data.medications !== undefined && !Array.isArray(data.medications)) {
+            errors.push('The medication list in this file is damaged.');
+        }
+        
+        if (data.history !== undefined && !Array.isArray(data.history)) {
+            errors.push('The history in this file is damaged.');
+        }
+        
+        if (data.journal !== undefined && !Array.isArray(data.journal)) {
+            errors.push('The symptom journal in this file is damaged.');
+        }
+        
+        (Array.isArray(data.medications) ? data.medications : []).forEach((medication, index) => {
+            if (!medication || typeof medication !== 'object') {
+                errors.push(`Medication number ${index + 1} is damaged.`);
+                return;
+            }
             
-            oscillator.frequency.value = 800;
-            oscillator.type = 'sine';
-            gainNode.gain.setValueAtTime(0.3, audioContext.currentTime);
-            gainNode.gain.exponentialRampToValueAtTime(0.01, audioContext.currentTime + 1);
+            const label = typeof medication.name === 'string' && medication.name.trim()
+                ? `"${medication.name}"`
+                : `Medication number ${index + 1}`;
             
-            oscillator.start(audioContext.currentTime);
-            oscillator.stop(audioContext.currentTime + 1);
-        } catch (error) {
-            console.log('Audio not supported or failed:', error);
+            if (typeof medication.name !== 'string' || !medication.name.trim()) {
+                errors.push(`${label} has no name.`);
+            }
+            if (medication.id === undefined || medication.id === null || medication.id === '') {
+                errors.push(`${label} is missing its identifier.`);
+            }
+            if (medication.type !== 'prn') {
+                const times = medication.times;
+                if (!Array.isArray(times) || times.length === 0) {
+                    errors.push(`${label} has no times to take it.`);
+                } else if (!times.every(time => typeof time === 'string' && /^([01]\d|2[0-3]):[0-5]\d$/.test(time))) {
+                    errors.push(`${label} has a time that is not valid.`);
+                }
+            }
+        });
+        
+        const damagedEntries = (Array.isArray(data.history) ? data.history : []).filter(entry =>
+            !entry || typeof entry !== 'object' ||
+            !entry.medicationId ||
+            !['taken', 'missed', 'skipped'].includes(entry.action) ||
+            isNaN(new Date(entry.date).getTime())
+        ).length;
+        
+        if (damagedEntries > 0) {
+            errors.push(`${damagedEntries} history ${damagedEntries === 1 ? 'entry is' : 'entries are'} damaged.`);
         }
+        
+        const damagedJournalEntries = (Array.isArray(data.journal) ? data.journal : []).filter(entry =>
+            !entry || typeof entry !== 'object' ||
+            !entry.id ||
+            isNaN(new Date(entry.date).getTime())
+        ).length;
+        
+        if (damagedJournalEntries > 0) {
+            errors.push(`${damagedJournalEntries} journal ${damagedJournalEntries === 1 ? 'entry is' : 'entries are'} damaged.`);
+        }
+        
+        return errors;
     }
 
-    // Update current date display
-    updateCurrentDate() {
-        const dateElement = document.getElementById('current-date');
-        if (dateElement) {
-            const now = new Date();
-            const options = { 
-                weekday: 'long', 
-                year: 'numeric', 
-                month: 'long', 
-                day: 'numeric' 
-            };
-            dateElement.textContent = now.toLocaleDateString('en-US', options);
+    // Bring files from older export versions up to the current layout
+    upgradeImportData(data) {
+        const version = parseFloat(data.version || '1.0');
+        const upgraded = {
+            medications: Array.isArray(data.medications) ? data.medications.map(medication => ({ ...medication })) : [],
+            history: Array.isArray(data.history) ? data.history.map(entry => ({ ...entry })) : [],
+            // The symptom journal was added in 2.2
+            journal: Array.isArray(data.journal) ? data.journal.map(entry => ({ ...entry })) : [],
+            settings: data.settings && typeof data.settings === 'object' ? { ...data.settings } : null,
+            version: EXPORT_VERSION
+        };
+        
+        if (version < 2) {
+            // 1.0 files predate medication types, schedules and grace periods
+            upgraded.medications.forEach(medication => {
+                medication.id = String(medication.id);
+                medication.type = medication.type || 'scheduled';
+                medication.timesPerDay = medication.timesPerDay || (medication.times || []).length;
+                medication.isActive = medication.isActive !== false;
+                medication.createdAt = medication.createdAt || new Date().toISOString();
+            });
+            // Their ids were Date.now() timestamps, so doses recorded in the same millisecond share one
+            const fileIds = new Set();
+            upgraded.history.forEach(entry => {
+                entry.id = entry.id && !fileIds.has(String(entry.id)) ? String(entry.id) : this.generateId();
+                fileIds.add(entry.id);
+                entry.medicationId = String(entry.medicationId);
+                entry.actualTime = entry.actualTime || new Date(entry.date).toISOString();
+            });
+        }
+        
+        if (version < 2.1) {
+            // Free-text dosages became structured doses in 2.1
+            upgraded.medications.forEach(medication => {
+                if (!medication.dose) this.migrateDosage(medication);
+            });
         }
+        
+        upgraded.medications.forEach(medication => this.migratePillsPerDose(medication));
+        
+        return upgraded;
     }
 
-    // UI Rendering - Today's Schedule
-    renderTodaysSchedule() {
-        const container = document.getElementById('todays-schedule');
+    // History entries for the same dose share a key: medication, day and scheduled time
+    // (as-needed doses have no scheduled time, so the moment they were taken is used instead)
+    getHistoryKey(entry) {
+        return `${entry.medicationId}|${entry.date}|${entry.scheduledTime || entry.actualTime}`;
+    }
+
+    // Work out the medications and history that would result from an import, without changing anything
+    planImport(data, mode) {
+        const currentMedications = new Map(this.medications.map(medication => [medication.id, medication]));
+        const importedMedications = new Map(data.medications.map(medication => [medication.id, medication]));
         
-        if (this.medications.length === 0) {
-            container.innerHTML = `
-                <div class="empty-state">
-                    <div class="empty-state-icon" aria-hidden="true">💊</div>
-                    <h3>No Medications Added</h3>
-                    <p>Tap "Add Medication" below to get started with your medication reminders.</p>
-                </div>
-            `;
-            return;
-        }
+        const addedMedications = data.medications.filter(medication => !currentMedications.has(medication.id));
+        const changedMedications = data.medications.filter(medication =>
+            currentMedications.has(medication.id) &&
+            JSON.stringify(currentMedications.get(medication.id)) !== JSON.stringify(medication)
+        );
+        const removedMedications = mode === 'replace'
+            ? this.medications.filter(medication => !importedMedications.has(medication.id))
+            : [];
         
-        // Create a simple list of untaken medications
-        const untakenMedications = this.getUntakenMedicationsForToday();
+        let medications;
+        let history;
+        let duplicateEntries = 0;
         
-        if (untakenMedications.length === 0) {
-            container.innerHTML = `
-                <div class="empty-state">
-                    <div class="empty-state-icon" aria-hidden="true">✅</div>
-                    <h3>All Done for Today!</h3>
-                    <p>You've taken all your medications for today. Great job!</p>
-                </div>
-            `;
-            return;
+        if (mode === 'replace') {
+            medications = data.medications;
+            history = [];
+        } else {
+            medications = this.medications
+                .map(medication => importedMedications.get(medication.id) || medication)
+                .concat(addedMedications);
+            history = [...this.history];
         }
         
-        // Group by time
-        const timeGroups = {};
-        untakenMedications.forEach(item => {
-            if (!timeGroups[item.time]) {
-                timeGroups[item.time] = [];
+        // Skip entries already present - by id (an older copy of a dose corrected since), or for the
+        // same medication, day and time. Ids repeated within old files are fixed by upgradeImportData().
+        const seenIds = new Set(history.map(entry => entry.id));
+        const seenKeys = new Set(history.map(entry => this.getHistoryKey(entry)));
+        const addedEntries = [];
+        
+        data.history.forEach(entry => {
+            const key = this.getHistoryKey(entry);
+            if (seenIds.has(entry.id) || seenKeys.has(key)) {
+                duplicateEntries++;
+                return;
             }
-            timeGroups[item.time].push(item.medication);
+            seenIds.add(entry.id);
+            seenKeys.add(key);
+            addedEntries.push(entry);
         });
         
-        container.innerHTML = Object.entries(timeGroups)
-            .sort(([timeA], [timeB]) => timeA.localeCompare(timeB))
-            .map(([time, medications]) => `
-                <div class="time-block">
-                    <div class="time-header">
-                        <div class="time-label">
-                            <div class="time-indicator"></div>
-                            ${this.formatTime(time)}
-                        </div>
-                        ${medications.length > 1 ? `<button class="resolve-all-btn" onclick="app.resolveAllForTime('${time}')">Resolve all</button>` : ''}
-                    </div>
-                    <div class="medications-for-time">
-                        ${medications.map(medication => `
-                            <div class="med-item" role="article" aria-labelledby="med-${medication.id}-${time}">
-                                <div class="med-icon">💊</div>
-                                <div class="med-info">
-                                    <h4 id="med-${medication.id}-${time}" class="med-name">${this.escapeHtml(medication.name)}</h4>
-                                    ${medication.dosage ? `<p class="med-dosage">${this.escapeHtml(medication.dosage)}</p>` : ''}
-                                </div>
-                                <button class="med-status" onclick="app.markMedicationTaken('${medication.id}', '${time}')" 
-                                        aria-label="Mark ${this.escapeHtml(medication.name)} as taken">
-                                </button>
-                            </div>
-                        `).join('')}
-                    </div>
-                </div>
-            `).join('');
+        history = history.concat(addedEntries);
+        
+        // Journal entries have no dose to match, so only the same id counts as a duplicate
+        const journalIds = new Set(mode === 'replace' ? [] : this.journal.map(entry => entry.id));
+        const addedJournalEntries = data.journal.filter(entry => !journalIds.has(entry.id));
+        const journal = (mode === 'replace' ? [] : this.journal).concat(addedJournalEntries);
+        
+        return {
+            mode,
+            medications,
+            history,
+            journal,
+            settings: mode === 'replace' && data.settings ? { ...this.settings, ...data.settings } : this.settings,
+            addedMedications,
+            changedMedications,
+            removedMedications,
+            addedEntries: addedEntries.length,
+            removedEntries: mode === 'replace' ? this.history.length : 0,
+            duplicateEntries,
+            addedJournalEntries: addedJournalEntries.length,
+            removedJournalEntries: mode === 'replace' ? this.journal.length : 0
+        };
     }
 
-    // Get all untaken medications for today
-    getUntakenMedicationsForToday() {
-        const today = new Date().toDateString();
-        const untakenMedications = [];
+    showImportErrors(errors) {
+        const shownErrors = errors.slice(0, 5);
+        const more = errors.length - shownErrors.length;
         
-        this.medications.forEach(medication => {
-            medication.times.forEach(time => {
-                // Check if this specific medication at this specific time was taken today
-                const wasTaken = this.history.some(entry => 
-                    entry.medicationId === medication.id &&
-                    entry.scheduledTime === time &&
-                    entry.date === today &&
-                    entry.action === 'taken'
-                );
-                
-                console.log(`Medication: ${medication.name}, Time: ${time}, Taken today: ${wasTaken}`);
-                
-                if (!wasTaken) {
-                    untakenMedications.push({
-                        medication: medication,
-                        time: time
-                    });
-                }
-            });
+        this.showAlertDialog(
+            'This File Cannot Be Imported',
+            `${shownErrors.join(' ')}${more > 0 ? ` (and ${more} more problems)` : ''} Your current data has not been changed.`
+        );
+    }
+
+    showImportPreview(data, fileName, backupProfileName = null, details = []) {
+        const modal = document.getElementById('import-modal');
+        const fileInfo = document.getElementById('import-file-info');
+        const detailsList = document.getElementById('import-details');
+        const preview = document.getElementById('import-preview');
+        const confirmBtn = document.getElementById('import-confirm');
+        const cancelBtn = document.getElementById('import-cancel');
+        const modeInputs = document.querySelectorAll('input[name="import-mode"]');
+        
+        fileInfo.textContent = `${fileName} has ${this.pluralize(data.medications.length, 'medication')} and ${this.pluralize(data.history.length, 'history entry', 'history entries')}.`;
+        if (this.profiles.length > 1) {
+            const activeName = this.getActiveProfile().name;
+            fileInfo.textContent += backupProfileName && backupProfileName !== activeName
+                ? ` It was saved for ${backupProfileName} and will go into ${this.getProfilePossessive()} medications.`
+                : ` It will go into ${this.getProfilePossessive()} medications.`;
+        }
+        detailsList.innerHTML = details.map(line => `<li>${this.escapeHtml(line)}</li>`).join('');
+        detailsList.hidden = details.length === 0;
+        modeInputs.forEach(input => {
+            input.checked = input.value === 'merge';
         });
         
-        console.log('Untaken medications:', untakenMedications);
-        return untakenMedications;
+        const getMode = () => document.querySelector('input[name="import-mode"]:checked').value;
+        const nameList = medications => medications.map(medication => this.escapeHtml(medication.name)).join(', ');
+        
+        const renderPreview = () => {
+            const plan = this.planImport(data, getMode());
+            const lines = [];
+            
+            if (plan.addedMedications.length > 0) {
+                lines.push(`<li>Add ${this.pluralize(plan.addedMedications.length, 'medication')}: ${nameList(plan.addedMedications)}</li>`);
+            }
+            if (plan.changedMedications.length > 0) {
+                lines.push(`<li>Update ${this.pluralize(plan.changedMedications.length, 'medication')}: ${nameList(plan.changedMedications)}</li>`);
+            }
+            if (plan.removedMedications.length > 0) {
+                lines.push(`<li class="preview-removed">Remove ${this.pluralize(plan.removedMedications.length, 'medication')}: ${nameList(plan.removedMedications)}</li>`);
+            }
+            if (plan.removedEntries > 0) {
+                lines.push(`<li class="preview-removed">Remove all ${this.pluralize(plan.removedEntries, 'history entry', 'history entries')} you have now</li>`);
+            }
+            lines.push(`<li>Add ${this.pluralize(plan.addedEntries, 'history entry', 'history entries')}</li>`);
+            if (plan.duplicateEntries > 0) {
+                lines.push(`<li>Skip ${this.pluralize(plan.duplicateEntries, 'history entry', 'history entries')} you already have</li>`);
+            }
+            if (plan.removedJournalEntries > 0) {
+                lines.push(`<li class="preview-removed">Remove all ${this.pluralize(plan.removedJournalEntries, 'journal entry', 'journal entries')} you have now</li>`);
+            }
+            if (plan.addedJournalEntries > 0) {
+                lines.push(`<li>Add ${this.pluralize(plan.addedJournalEntries, 'journal entry', 'journal entries')}</li>`);
+            }
+            
+            preview.innerHTML = lines.join('');
+            return plan;
+        };
+        
+        modeInputs.forEach(input => {
+            input.onchange = renderPreview;
+        });
+        renderPreview();
+        
+        modal.setAttribute('aria-hidden', 'false');
+        
+        confirmBtn.onclick = () => {
+            modal.setAttribute('aria-hidden', 'true');
+            this.applyImport(this.planImport(data, getMode()));
+        };
+        
+        cancelBtn.onclick = () => {
+            modal.setAttribute('aria-hidden', 'true');
+            this.showToast('Import cancelled - nothing was changed', 'info');
+        };
+        
+        confirmBtn.focus();
     }
 
-    // Group medications by their scheduled times (only show untaken medications)
-    groupMedicationsByTime() {
-        const timeGroups = {};
+    applyImport(plan) {
+        this.reminders.cancelWhere(reminder => reminder.profileId === this.activeProfileId);
         
-        this.medications.forEach(medication => {
+        // A replace brings the backup's settings too, so undo has to put the old ones back
+        const details = plan.settings === this.settings
+            ? { major: true }
+            : { major: true, settings: { before: { ...this.settings }, after: { ...plan.settings } } };
+        
+        this.medications = plan.medications;
+        this.history = plan.history;
+        this.journal = plan.journal;
+        this.settings = plan.settings;
+        
+        const change = this.saveData(plan.mode === 'replace' ? 'Replaced data with an import' : 'Added data from an import', details);
+        this.applySettings();
+        this.renderMedications();
+        this.refreshReminders();
+        
+        this.showUndoToast(plan.mode === 'replace' ? 'Data replaced successfully' : 'Data added successfully', change);
+    }
+
+    // QR Code Handoff - the medication list and today's doses in a QR code made on this device (qrcode.js),
+    // so a family member can copy them to their own phone with no internet or account
+    showQrCode() {
+        const modal = document.getElementById('qr-modal');
+        const historyCheckbox = document.getElementById('qr-include-history');
+
+        historyCheckbox.checked = false;
+        historyCheckbox.onchange = () => this.renderQrCode();
+        this.renderQrCode();
+        modal.setAttribute('aria-hidden', 'false');
+
+        document.getElementById('qr-save').onclick = () => this.saveQrImage();
+        document.getElementById('qr-close').onclick = () => {
+            modal.setAttribute('aria-hidden', 'true');
+        };
+
+        document.getElementById('qr-close').focus();
+    }
+
+    async renderQrCode() {
+        const canvas = document.getElementById('qr-canvas');
+        const errorEl = document.getElementById('qr-error');
+        const contents = document.getElementById('qr-contents');
+        const saveBtn = document.getElementById('qr-save');
+        const payload = this.buildQrPayload(document.getElementById('qr-include-history').checked);
+
+        const lines = [`<li>${this.pluralize(payload.medications.length, 'medication')}${payload.medications.length > 0 ? `: ${payload.medications.map(medication => this.escapeHtml(medication.name)).join(', ')}` : ''}</li>`];
+        payload.today.doses.forEach(([index, time, action]) => {
+            const medication = payload.medications[index];
+            const status = action === 'taken' ? 'taken' : action === 'skipped' ? 'skipped' : 'not taken yet';
+            lines.push(`<li>Today ${this.formatTime(time)}: ${this.escapeHtml(medication.name)} - ${status}</li>`);
+        });
+        if (payload.summary) {
+            lines.push(`<li>How the last ${QR_HISTORY_SUMMARY_DAYS} days went for each medication</li>`);
+        }
+        contents.innerHTML = lines.join('');
+
+        try {
+            // Eight pixels a module keeps a saved picture sharp enough for a camera to read
+            QrCode.encodeText(await this.packQrPayload(payload)).drawTo(canvas, 8);
+            canvas.hidden = false;
+            saveBtn.disabled = false;
+            errorEl.textContent = '';
+        } catch (error) {
+            console.error('QR code error:', error);
+            canvas.hidden = true;
+            saveBtn.disabled = true;
+            // Only a list that doesn't fit throws a RangeError - anything else is the browser lacking compression
+            if (!(error instanceof RangeError)) {
+                errorEl.textContent = 'This browser cannot make QR codes. Please update it, or use Export Data to save a backup file instead.';
+            } else {
+                errorEl.textContent = payload.summary
+                    ? 'This is too much to fit in one QR code. Please leave out the summary of the last 30 days.'
+                    : 'This medication list is too long to fit in one QR code. Please use Export Data to save a backup file instead.';
+            }
+        }
+    }
+
+    // What goes into the code: current medications, today's scheduled doses and, if asked for, a
+    // summary of recent adherence. Doses and the summary point at medications by their place in the list.
+    buildQrPayload(includeHistorySummary = false) {
+        const now = this.clock.now();
+        const today = now.toDateString();
+        const medications = this.getActiveMedications();
+
+        const doses = [];
+        this.getMedicationsScheduledOn(now).forEach(medication => {
+            const index = medications.indexOf(medication);
             medication.times.forEach(time => {
-                console.log(`Processing medication ${medication.name} (${medication.id}) at time ${time}`);
-                // Only include medications that haven't been taken today
-                const isTaken = this.isMedicationTakenToday(medication.id, time);
-                console.log(`Is ${medication.name} taken at ${time}? ${isTaken}`);
-                if (!isTaken) {
-                    if (!timeGroups[time]) {
-                        timeGroups[time] = [];
-                    }
-                    timeGroups[time].push(medication);
-                } else {
-                    console.log(`Excluding ${medication.name} from display because it was taken`);
-                }
+                const entry = this.history.find(item =>
+                    item.medicationId === medication.id &&
+                    item.scheduledTime === time &&
+                    item.date === today &&
+                    (item.action === 'taken' || item.action === 'skipped')
+                );
+                doses.push(entry ? [index, time, entry.action, entry.actualTime] : [index, time]);
             });
         });
-        
-        console.log('Final time groups:', timeGroups);
-        return timeGroups;
+        doses.sort((a, b) => a[1].localeCompare(b[1]));
+
+        const payload = {
+            version: QR_CODE_VERSION,
+            profile: this.getActiveProfile().name,
+            createdAt: new Date().toISOString(),
+            medications: medications.map(medication => this.getQrMedication(medication)),
+            today: { date: today, doses }
+        };
+
+        if (includeHistorySummary) {
+            const stats = this.getAdherenceStats();
+            payload.summary = {
+                days: QR_HISTORY_SUMMARY_DAYS,
+                medications: medications
+                    .map((medication, index) => {
+                        const adherence = stats.getAdherence(medication, QR_HISTORY_SUMMARY_DAYS);
+                        return [index, adherence.taken, adherence.due];
+                    })
+                    .filter(([, , due]) => due > 0)
+            };
+        }
+
+        return payload;
+    }
+
+    // A medication as it goes into the code. Scheduled is the usual type, so only as-needed is written.
+    getQrMedication(medication) {
+        return this.compactForQrCode({
+            ...Object.fromEntries(QR_MEDICATION_FIELDS.map(field => [field, medication[field]])),
+            type: this.isAsNeeded(medication) ? medication.type : null
+        });
+    }
+
+    // Leave out empty values - every byte makes the code denser and harder to photograph.
+    // expandQrMedication() puts them back.
+    compactForQrCode(value) {
+        if (Array.isArray(value) || value === null || typeof value !== 'object') return value;
+
+        const compacted = {};
+        Object.entries(value).forEach(([key, item]) => {
+            const kept = this.compactForQrCode(item);
+            const isEmpty = kept === undefined || kept === null || kept === '' ||
+                (typeof kept === 'object' && Object.keys(kept).length === 0);
+            if (!isEmpty) compacted[key] = kept;
+        });
+        return compacted;
+    }
+
+    expandQrMedication(medication) {
+        const times = Array.isArray(medication.times) ? medication.times : [];
+        return this.migratePillsPerDose({
+            ...medication,
+            type: medication.type || 'scheduled',
+            timesPerDay: times.length,
+            times,
+            dose: { strength: null, form: '', amount: 1, instructions: [], notes: '', ...medication.dose }
+        });
+    }
+
+    // Compressed and written in Base45, which fits the denser alphanumeric QR mode and holds about
+    // three times as many medications as plain JSON. The browser's own compression is used, so nothing is downloaded.
+    async packQrPayload(payload) {
+        const stream = new Blob([JSON.stringify(payload)]).stream().pipeThrough(new CompressionStream('deflate'));
+        const bytes = new Uint8Array(await new Response(stream).arrayBuffer());
+        return QR_CODE_PREFIX + QrCode.toBase45(bytes);
+    }
+
+    // The payload in a QR code's text, or null when it wasn't made by this app or is damaged
+    async unpackQrPayload(text) {
+        if (typeof text !== 'string' || !text.startsWith(QR_CODE_PREFIX)) return null;
+
+        try {
+            const bytes = QrCode.fromBase45(text.slice(QR_CODE_PREFIX.length));
+            const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate'));
+            const payload = JSON.parse(await new Response(stream).text());
+            return payload && typeof payload === 'object' ? payload : null;
+        } catch (error) {
+            console.error('QR code could not be read:', error);
+            return null;
+        }
+    }
+
+    saveQrImage() {
+        const canvas = document.getElementById('qr-canvas');
+        canvas.toBlob(blob => {
+            if (!blob) {
+                this.showToast('Error saving the picture', 'error');
+                return;
+            }
+            this.downloadFile(blob, this.getExportFileName('medication-qr-code', 'png'), 'image/png');
+            this.showToast('QR code picture saved', 'success');
+        }, 'image/png');
     }
 
-    // Check if medication was taken today for specific time
-    isMedicationTakenToday(medicationId, time) {
-        const today = new Date().toDateString();
-        const taken = this.history.some(entry => 
-            entry.medicationId === medicationId &&
-            entry.scheduledTime === time &&
-            entry.date === today &&
-            entry.action === 'taken'
-        );
-        console.log(`Checking if medication ${medicationId} at ${time} was taken today (${today}):`, taken);
-        console.log('History entries for today:', this.history.filter(entry => entry.date === today));
-        return taken;
+    // Read a QR code from a saved photo or screenshot. Opening one needs the browser's own decompression.
+    importFromQrImage() {
+        if (!this.checkCaregiverPin(() => this.importFromQrImage())) return;
+        if (!('DecompressionStream' in window)) {
+            this.showQrUnsupported();
+            return;
+        }
+
+        const input = document.getElementById('import-qr-file');
+        // Clear the last choice so picking the same picture again still triggers a change
+        input.value = '';
+        input.click();
+
+        input.onchange = async (e) => {
+            const file = e.target.files[0];
+            if (!file) return;
+
+            let codes;
+            try {
+                codes = await this.readQrCodes(file);
+            } catch (error) {
+                console.error('QR image error:', error);
+                this.showAlertDialog('Picture Cannot Be Read', 'This picture could not be opened. Please choose a photo or screenshot of the QR code.');
+                return;
+            }
+
+            const code = codes.find(text => typeof text === 'string' && text.startsWith(QR_CODE_PREFIX));
+            if (!code) {
+                this.showAlertDialog(
+                    'No Medication List Found',
+                    codes.length === 0
+                        ? 'No QR code was found in this picture. Please try a clearer photo with the whole code in view.'
+                        : 'This QR code was not made by Senior Med Tracker. Please choose a picture of the code shown under Show QR Code.'
+                );
+                return;
+            }
+
+            const payload = await this.unpackQrPayload(code);
+            if (!payload) {
+                this.showAlertDialog('This QR Code Cannot Be Imported', 'This QR code is damaged. Please take a new photo or save the picture again from the other phone.');
+                return;
+            }
+
+            this.importQrPayload(payload);
+        };
     }
 
-    // Toggle medication status (taken/not taken)
-    toggleMedicationStatus(medicationId, time) {
-        if (this.isMedicationTakenToday(medicationId, time)) {
-            // If already taken, allow user to undo
-            this.showConfirmDialog(
-                'Undo Medication',
-                'Do you want to mark this medication as not taken?',
-                () => {
-                    this.removeMedicationRecord(medicationId, time);
-                    this.renderTodaysSchedule();
-                    this.showToast('Medication unmarked', 'success');
+    // The text of each QR code in a picture. BarcodeDetector, built into some browsers (such as Chrome
+    // on Android), is the quicker way; elsewhere, or when it finds nothing, the pixels are read here (qrcode.js).
+    async readQrCodes(file) {
+        const image = await createImageBitmap(file);
+
+        if ('BarcodeDetector' in window) {
+            try {
+                const formats = await BarcodeDetector.getSupportedFormats();
+                if (formats.includes('qr_code')) {
+                    const codes = await new BarcodeDetector({ formats: ['qr_code'] }).detect(image);
+                    if (codes.length > 0) return codes.map(code => code.rawValue);
                 }
-            );
-        } else {
-            this.markMedicationTaken(medicationId, time);
-            this.renderTodaysSchedule();
+            } catch (error) {
+                console.log('BarcodeDetector failed, reading the picture directly:', error);
+            }
         }
+
+        // Phone photos are scaled down first - a code still has a few pixels per module, and reading is quicker
+        const scale = Math.min(1, QR_SCAN_MAX_SIZE / Math.max(image.width, image.height));
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.max(1, Math.round(image.width * scale));
+        canvas.height = Math.max(1, Math.round(image.height * scale));
+        const context = canvas.getContext('2d');
+        context.drawImage(image, 0, 0, canvas.width, canvas.height);
+
+        const text = QrCode.decodeImage(context.getImageData(0, 0, canvas.width, canvas.height));
+        return text === null ? [] : [text];
     }
 
-    // Remove medication record for today
-    removeMedicationRecord(medicationId, time) {
-        const today = new Date().toDateString();
-        this.history = this.history.filter(entry => 
-            !(entry.medicationId === medicationId &&
-              entry.scheduledTime === time &&
-              entry.date === today)
+    showQrUnsupported() {
+        this.showAlertDialog(
+            'QR Codes Not Supported',
+            'This browser is too old to open QR codes from this app. Please update it, or copy the list with Export Data and Import Data instead.'
         );
-        this.saveData();
     }
 
-    // Resolve all medications for a specific time
-    resolveAllForTime(time) {
-        const timeGroups = this.groupMedicationsByTime();
-        const medications = timeGroups[time] || [];
-        
-        medications.forEach(medication => {
-            this.recordMedicationAction(medication.id, 'taken', time);
+    // Turn the code into an ordinary import, so it gets the same checks and preview as a backup file.
+    // Medications already on this phone keep their pill counts and start dates; new ones start today.
+    async importQrPayload(payload) {
+        if (payload.version > QR_CODE_VERSION) {
+            this.showAlertDialog('This QR Code Cannot Be Imported', 'This QR code was made by a newer version of the app. Please update the app and try again.');
+            return;
+        }
+
+        const now = new Date().toISOString();
+        const medications = (Array.isArray(payload.medications) ? payload.medications : []).map(medication => {
+            const existing = this.medications.find(med => med.id === medication.id);
+            if (!existing) return { ...this.expandQrMedication(medication), isActive: true, createdAt: now };
+
+            // Unchanged medications are left exactly as they are, so the preview doesn't list them
+            const sameAsCode = JSON.stringify(this.getQrMedication(existing)) === JSON.stringify(medication);
+            if (sameAsCode) return existing;
+            
+            // Past days keep the times they had, as when the times are edited
+            const updated = { ...existing, ...this.expandQrMedication(medication) };
+            if (JSON.stringify(updated.times) !== JSON.stringify(existing.times)) {
+                const previous = { ...existing };
+                this.recordTimesChange(previous, updated.times);
+                updated.timesHistory = previous.timesHistory;
+            }
+            return updated;
         });
+
+        const today = payload.today || { doses: [] };
+        const history = (today.doses || [])
+            .filter(([index, , action]) => medications[index] && (action === 'taken' || action === 'skipped'))
+            .map(([index, time, action, actualTime]) => {
+                const medication = medications[index];
+                return {
+                    id: this.generateId(),
+                    medicationId: medication.id,
+                    medicationName: medication.name,
+                    action,
+                    scheduledTime: time,
+                    actualTime: actualTime || now,
+                    date: today.date,
+                    scheduledAt: this.getScheduledAt(time, today.date)
+                };
+            });
+
+        const details = [];
+        if (payload.summary && payload.summary.medications.length > 0) {
+            details.push(`Over the last ${payload.summary.days} days on the other phone (shown here only, not added to the history):`);
+            payload.summary.medications.forEach(([index, taken, due]) => {
+                const medication = medications[index];
+                if (medication) details.push(`${medication.name}: ${taken} of ${this.pluralize(due, 'dose')} taken`);
+            });
+        }
+
+        await this.previewImportFile(
+            { profile: { name: payload.profile }, medications, history, version: EXPORT_VERSION },
+            'This QR code',
+            details
+        );
+    }
+
+    clearAllData() {
+        if (!this.checkCaregiverPin(() => this.clearAllData())) return;
         
-        this.renderTodaysSchedule();
-        this.showToast(`All medications for ${this.formatTime(time)} marked as taken`, 'success');
+        this.showConfirmDialog(
+            'Clear All Data',
+            this.profiles.length > 1
+                ? `Are you sure you want to delete all of ${this.getProfilePossessive()} medications, history and symptom journal? You can undo this from Recent Changes in Settings.`
+                : 'Are you sure you want to delete all medications, history and symptom journal? You can undo this from Recent Changes in Settings.',
+            () => {
+                this.medications = [];
+                this.history = [];
+                this.journal = [];
+                this.reminders.cancelWhere(reminder => reminder.profileId === this.activeProfileId);
+                const change = this.saveData('Cleared all data', { major: true });
+                
+                this.renderMedications();
+                this.showUndoToast('All data cleared', change);
+            }
+        );
     }
 
-    // Legacy method for backward compatibility
-    renderMedications() {
-        this.renderTodaysSchedule();
+    // Change Log - every save that changed medications, history or the journal, with before and after snapshots
+    showChangeLog() {
+        this.showScreen('change-log');
+        this.renderChangeLog();
     }
 
-    renderHistory() {
-        const container = document.getElementById('history-list');
+    renderChangeLog() {
+        const container = document.getElementById('change-list');
         
-        if (this.history.length === 0) {
+        if (this.changes.length === 0) {
             container.innerHTML = `
                 <div class="empty-state">
-                    <div class="empty-state-icon" aria-hidden="true">📋</div>
-                    <h3>No History Yet</h3>
-                    <p>Your medication history will appear here after you start tracking your medications.</p>
+                    <div class="empty-state-icon" aria-hidden="true">🕘</div>
+                    <h3>No Changes Yet</h3>
+                    <p>Changes to medications, history and the journal will be listed here, so they can be undone.</p>
                 </div>
             `;
             return;
         }
         
-        // Sort history by date (newest first)
-        const sortedHistory = [...this.history].sort((a, b) => 
-            new Date(b.actualTime) - new Date(a.actualTime)
-        );
-        
-        container.innerHTML = sortedHistory.map(entry => `
-            <div class="history-entry" role="article" aria-labelledby="history-${entry.id}">
-                <div class="history-date">${entry.date}</div>
-                <div id="history-${entry.id}" class="history-medication">${this.escapeHtml(entry.medicationName)}</div>
-                <div class="history-time">Scheduled: ${this.formatTime(entry.scheduledTime)} | 
-                    Recorded: ${this.formatDateTime(entry.actualTime)}</div>
-                <span class="history-status status-${entry.action}" aria-label="Status: ${entry.action}">
-                    ${entry.action.charAt(0).toUpperCase() + entry.action.slice(1)}
-                </span>
+        container.innerHTML = this.changes.map(change => `
+            <div class="history-entry" role="article" aria-labelledby="change-${change.id}">
+                <div class="history-date">${this.formatDateTime(change.changedAt)}</div>
+                <div id="change-${change.id}" class="history-medication">${this.escapeHtml(change.description)}</div>
+                <ul class="change-details">
+                    ${this.describeChangeDetails(change).map(line => `<li>${this.escapeHtml(line)}</li>`).join('')}
+                </ul>
+                ${this.isChangeUndone(change)
+                    ? '<span class="history-status status-skipped">Undone</span>'
+                    : `<button class="secondary-btn" onclick="app.restoreChange('${change.id}')">Undo This Change</button>`}
             </div>
         `).join('');
     }
 
-    // Form Handling
-    setupMedicationForm() {
-        const form = document.getElementById('medication-form');
-        const timesSelect = document.getElementById('med-times');
-        const timeSlotsContainer = document.getElementById('time-slots');
+    // One line for each kind of record a change touched, e.g. "Removed Aspirin" or "Added 3 history entries".
+    // Changes logged before the journal existed have no journal snapshots.
+    describeChangeDetails(change) {
+        const lines = [];
+        const added = snapshots => snapshots.filter(snapshot => !snapshot.before);
+        const removed = snapshots => snapshots.filter(snapshot => !snapshot.after);
+        const updated = snapshots => snapshots.filter(snapshot => snapshot.before && snapshot.after);
+        const names = snapshots => snapshots.map(({ before, after }) => (after || before).name).join(', ');
         
-        timesSelect.addEventListener('change', (e) => {
-            const times = parseInt(e.target.value);
-            this.generateTimeSlots(times, timeSlotsContainer);
+        [['Added', added], ['Changed', updated], ['Removed', removed]].forEach(([verb, select]) => {
+            Object.entries(LOGGED_COLLECTIONS).forEach(([collection, [singular, plural]]) => {
+                const records = select(change[collection] || []);
+                if (records.length === 0) return;
+                lines.push(collection === 'medications'
+                    ? `${verb} ${names(records)}`
+                    : `${verb} ${this.pluralize(records.length, singular, plural)}`);
+            });
         });
+        if (change.settings) lines.push('Replaced the settings');
         
-        form.addEventListener('submit', (e) => {
-            e.preventDefault();
-            this.handleMedicationSubmit();
-        });
+        return lines;
     }
 
-    generateTimeSlots(count, container) {
-        if (!count) {
-            container.innerHTML = '';
-            return;
-        }
-        
-        const defaultTimes = ['08:00', '12:00', '18:00', '22:00'];
-        
-        container.innerHTML = Array.from({ length: count }, (_, i) => `
-            <div class="time-input-group">
-                <label for="time-${i + 1}" class="form-label">Time ${i + 1} *</label>
-                <input type="time" id="time-${i + 1}" class="time-input" required 
-                       value="${defaultTimes[i] || '08:00'}" 
-                       aria-describedby="time-${i + 1}-help">
-                <p id="time-${i + 1}-help" class="help-text">Set the time for dose ${i + 1}</p>
-            </div>
-        `).join('');
+    // Undone while its undo hasn't been undone in turn
+    isChangeUndone(change) {
+        return this.changes.some(later => later.undoes === change.id && !this.isChangeUndone(later));
     }
 
-    handleMedicationSubmit() {
-        const form = document.getElementById('medication-form');
-        const formData = new FormData(form);
-        
-        const name = document.getElementById('med-name').value;
-        const dosage = document.getElementById('med-dosage').value;
-        const timesPerDay = parseInt(document.getElementById('med-times').value);
-        
-        if (!name.trim()) {
-            this.showToast('Please enter a medication name', 'error');
-            document.getElementById('med-name').focus();
-            return;
-        }
+    // Whether anything the change touched has been changed again since
+    hasChangedSince(change) {
+        return Object.keys(LOGGED_COLLECTIONS).some(collection =>
+            (change[collection] || []).some(({ id, after }) => {
+                const record = this[collection].find(current => current.id === id);
+                return JSON.stringify(record || null) !== JSON.stringify(after);
+            })
+        );
+    }
+
+    // Put everything a change touched back as it was. The undo is logged like any other change,
+    // so it can be undone as well.
+    revertChange(change) {
+        Object.keys(LOGGED_COLLECTIONS).forEach(collection => {
+            (change[collection] || []).forEach(({ id, before }) => {
+                const index = this[collection].findIndex(record => record.id === id);
+                // A copy, so later edits don't reach the snapshot in the log
+                const restored = before ? JSON.parse(JSON.stringify(before)) : null;
+                
+                if (index === -1) {
+                    if (restored) this[collection].push(restored);
+                } else if (restored) {
+                    this[collection][index] = restored;
+                } else {
+                    this[collection].splice(index, 1);
+                }
+            });
+        });
         
-        if (!timesPerDay) {
-            this.showToast('Please select how many times per day', 'error');
-            document.getElementById('med-times').focus();
-            return;
+        const details = { undoes: change.id };
+        if (change.settings) {
+            details.settings = { before: { ...this.settings }, after: { ...change.settings.before } };
+            this.settings = { ...change.settings.before };
         }
         
-        const times = [];
-        for (let i = 1; i <= timesPerDay; i++) {
-            const timeInput = document.getElementById(`time-${i}`);
-            if (timeInput && timeInput.value) {
-                times.push(timeInput.value);
-            }
-        }
+        this.reminders.cancelWhere(reminder => reminder.profileId === this.activeProfileId);
+        const undo = this.saveData(`Undid "${change.description}"`, details);
+        this.applySettings();
+        this.renderMedications();
+        this.renderManageMedications();
+        this.refreshReminders();
         
-        if (times.length !== timesPerDay) {
-            this.showToast('Please set all required times', 'error');
-            return;
+        if (this.currentScreen === 'history') {
+            this.renderHistory();
+        } else if (this.currentScreen === 'change-log') {
+            this.renderChangeLog();
         }
-        
-        this.addMedication({
-            name,
-            dosage,
-            timesPerDay,
-            times: times.sort() // Sort times chronologically
-        });
-        
-        form.reset();
-        document.getElementById('time-slots').innerHTML = '';
-        this.showScreen('main-menu');
+        return undo;
     }
 
-    // Data Import/Export
-    exportData() {
-        try {
-            const data = {
-                medications: this.medications,
-                history: this.history,
-                settings: this.settings,
-                exportDate: new Date().toISOString(),
-                version: '1.0'
-            };
-            
-            const jsonString = JSON.stringify(data, null, 2);
-            const blob = new Blob([jsonString], { type: 'application/json' });
-            const url = URL.createObjectURL(blob);
-            
-            const a = document.createElement('a');
-            a.href = url;
-            a.download = `medication-data-${new Date().toISOString().split('T')[0]}.json`;
-            document.body.appendChild(a);
-            a.click();
-            document.body.removeChild(a);
-            URL.revokeObjectURL(url);
-            
-            this.showToast('Data exported successfully', 'success');
-        } catch (error) {
-            console.error('Export error:', error);
-            this.showToast('Error exporting data', 'error');
+    // The Undo button on the message shown after a delete, clear, import or unmarked dose.
+    // It only puts back what was just done, so it doesn't ask for the caregiver PIN.
+    undoChange(changeId) {
+        const change = this.changes.find(loggedChange => loggedChange.id === changeId);
+        if (!change || this.isChangeUndone(change)) {
+            this.showToast('There is nothing to undo', 'info');
+            return;
         }
-    }
-
-    importData() {
-        const input = document.getElementById('import-file');
-        input.click();
         
-        input.onchange = (e) => {
-            const file = e.target.files[0];
-            if (!file) return;
-            
-            const reader = new FileReader();
-            reader.onload = (e) => {
-                try {
-                    const data = JSON.parse(e.target.result);
-                    
-                    if (data.medications && Array.isArray(data.medications)) {
-                        this.medications = data.medications;
-                    }
-                    if (data.history && Array.isArray(data.history)) {
-                        this.history = data.history;
-                    }
-                    if (data.settings && typeof data.settings === 'object') {
-                        this.settings = { ...this.settings, ...data.settings };
-                    }
-                    
-                    this.saveData();
-                    this.applySettings();
-                    this.renderMedications();
-                    
-                    this.showToast('Data imported successfully', 'success');
-                } catch (error) {
-                    console.error('Import error:', error);
-                    this.showToast('Error importing data - invalid file format', 'error');
-                }
-            };
-            
-            reader.readAsText(file);
-        };
+        this.revertChange(change);
+        this.showToast(`Undone: ${change.description}`, 'success');
     }
 
-    clearAllData() {
+    // Undo any change from the Recent Changes screen
+    restoreChange(changeId) {
+        if (!this.checkCaregiverPin(() => this.restoreChange(changeId))) return;
+        const change = this.changes.find(loggedChange => loggedChange.id === changeId);
+        if (!change) return;
+        
+        const warning = this.hasChangedSince(change)
+            ? ' Some of this has been changed again since, and those later changes will be lost.'
+            : '';
+        
         this.showConfirmDialog(
-            'Clear All Data',
-            'Are you sure you want to delete all medications and history? This action cannot be undone.',
+            'Undo This Change',
+            `Undo "${change.description}" from ${this.formatDateTime(change.changedAt)}? Everything it changed will go back to how it was before.${warning}`,
             () => {
-                this.medications = [];
-                this.history = [];
-                localStorage.removeItem('seniorMed_medications');
-                localStorage.removeItem('seniorMed_history');
-                
-                this.renderMedications();
-                this.showToast('All data cleared', 'success');
+                this.revertChange(change);
+                this.showToast(`Undone: ${change.description}`, 'success');
             }
         );
     }
@@ -806,36 +4914,94 @@ class MedicationApp {
 
         // Navigation
         addListener('add-med-btn', 'click', () => {
-            this.showScreen('add-medication');
-            this.setupMedicationForm();
+            this.openMedicationForm();
+        });
+        
+        addListener('upcoming-schedule-btn', 'click', () => {
+            this.showScreen('upcoming-schedule');
+            this.initializeUpcomingSchedule();
+        });
+        
+        addListener('view-records-btn', 'click', () => {
+            this.showScreen('records');
+            this.renderRecords();
+        });
+        
+        // Add manage medications button handler
+        addListener('manage-meds-btn', 'click', () => {
+            this.showMedicationManagement();
+        });
+        
+        addListener('settings-btn', 'click', () => {
+            this.showScreen('settings');
+        });
+        
+        addListener('manage-add-med', 'click', () => {
+            this.openMedicationForm();
+        });
+        
+        // Back buttons
+        addListener('back-from-add', 'click', () => {
+            this.closeMedicationForm();
+        });
+        
+        addListener('back-from-manage', 'click', () => {
+            this.showScreen('main-menu');
+        });
+        
+        addListener('back-from-med-details', 'click', () => {
+            this.closeMedicationDetails();
+        });
+        
+        addListener('back-from-records', 'click', () => {
+            this.showScreen('main-menu');
+        });
+        
+        addListener('view-history-btn', 'click', () => {
+            this.showScreen('history');
+            this.renderHistory();
+        });
+        
+        addListener('record-past-dose', 'click', () => {
+            this.recordDose();
         });
         
-        addListener('upcoming-schedule-btn', 'click', () => {
-            this.showScreen('upcoming-schedule');
-            this.initializeUpcomingSchedule();
+        addListener('view-journal-btn', 'click', () => {
+            this.showJournal();
         });
         
-        addListener('view-records-btn', 'click', () => {
+        addListener('add-journal-entry', 'click', () => {
+            this.openJournalEntry();
+        });
+        
+        addListener('back-from-journal', 'click', () => {
             this.showScreen('records');
-            this.renderRecords();
+            this.renderCalendar();
         });
         
-        // Add manage medications button handler
-        addListener('manage-meds-btn', 'click', () => {
-            this.showMedicationManagement();
+        addListener('back-from-history', 'click', () => {
+            this.showScreen('records');
+            this.renderCalendar();
         });
         
-        addListener('settings-btn', 'click', () => {
-            this.showScreen('settings');
+        addListener('view-report-btn', 'click', () => {
+            this.showDoctorReport();
         });
         
-        // Back buttons
-        addListener('back-from-add', 'click', () => {
-            this.showScreen('main-menu');
+        addListener('back-from-report', 'click', () => {
+            this.showScreen('records');
+            this.renderCalendar();
         });
         
-        addListener('back-from-records', 'click', () => {
-            this.showScreen('main-menu');
+        addListener('report-form', 'submit', (e) => {
+            e.preventDefault();
+            this.renderDoctorReport();
+        });
+        
+        addListener('report-print', 'click', () => {
+            if (this.renderDoctorReport()) {
+                window.print();
+            }
         });
         
         addListener('back-from-upcoming', 'click', () => {
@@ -846,6 +5012,14 @@ class MedicationApp {
             this.showScreen('main-menu');
         });
         
+        addListener('view-changes', 'click', () => {
+            this.showChangeLog();
+        });
+        
+        addListener('back-from-changes', 'click', () => {
+            this.showScreen('settings');
+        });
+        
         // Week navigation for upcoming schedule
         addListener('prev-week', 'click', () => {
             this.navigateWeek(-1);
@@ -857,32 +5031,116 @@ class MedicationApp {
         
         // Form buttons
         addListener('cancel-add', 'click', () => {
-            this.showScreen('main-menu');
+            this.closeMedicationForm();
         });
         
-        // Settings
-        addListener('sound-enabled', 'change', (e) => {
+        // Settings - a change waits for the caregiver PIN when one is set. The control shows the
+        // saved value again until the PIN is entered, then the change goes through.
+        const addSettingListener = (id, handler) => {
+            addListener(id, 'change', (e) => {
+                const isCheckbox = e.target.type === 'checkbox';
+                const value = isCheckbox ? e.target.checked : e.target.value;
+                this.updateSettingsForm();
+                
+                const applyChange = () => {
+                    if (isCheckbox) {
+                        e.target.checked = value;
+                    } else {
+                        e.target.value = value;
+                    }
+                    handler(e);
+                };
+                if (this.checkCaregiverPin(applyChange)) applyChange();
+            });
+        };
+        
+        addSettingListener('sound-enabled', (e) => {
             this.settings.soundEnabled = e.target.checked;
             this.saveData();
         });
         
-        addListener('vibration-enabled', 'change', (e) => {
+        addSettingListener('vibration-enabled', (e) => {
             this.settings.vibrationEnabled = e.target.checked;
             this.saveData();
         });
         
-        addListener('high-contrast', 'change', (e) => {
+        addSettingListener('high-contrast', (e) => {
             this.settings.highContrast = e.target.checked;
             this.saveData();
             this.applySettings();
         });
         
-        addListener('text-size', 'change', (e) => {
+        addSettingListener('text-size', (e) => {
             this.settings.textSize = e.target.value;
             this.saveData();
             this.applySettings();
         });
         
+        addSettingListener('snooze-minutes', (e) => {
+            this.settings.snoozeMinutes = parseInt(e.target.value);
+            this.saveData();
+        });
+        
+        addSettingListener('repeat-reminders', (e) => {
+            this.settings.repeatReminders = e.target.checked;
+            this.saveData();
+            this.updateSettingsForm();
+        });
+        
+        addSettingListener('repeat-interval', (e) => {
+            this.settings.repeatIntervalMinutes = parseInt(e.target.value);
+            this.saveData();
+        });
+        
+        addSettingListener('max-repeats', (e) => {
+            this.settings.maxReminderRepeats = parseInt(e.target.value);
+            this.saveData();
+        });
+        
+        addSettingListener('travel-mode', (e) => {
+            this.settings.travelMode = e.target.value;
+            // Gradual moves count their days from when they are turned on
+            this.settings.travelStartedAt = e.target.value === 'gradual' ? new Date().toISOString() : null;
+            this.applyTravelSettings();
+        });
+        
+        addSettingListener('home-time-zone', (e) => {
+            this.settings.homeTimeZone = e.target.value;
+            this.applyTravelSettings();
+        });
+        
+        addSettingListener('travel-shift-hours', (e) => {
+            this.settings.travelShiftHours = parseInt(e.target.value);
+            this.applyTravelSettings();
+        });
+        
+        // People
+        addListener('add-profile', 'click', () => {
+            this.addProfile();
+        });
+        
+        addListener('rename-profile', 'click', () => {
+            this.renameProfile();
+        });
+        
+        addListener('delete-profile', 'click', () => {
+            this.deleteProfile();
+        });
+        
+        // Caregiver PIN
+        addListener('set-pin', 'click', () => {
+            this.setCaregiverPin();
+        });
+        
+        addListener('remove-pin', 'click', () => {
+            this.removeCaregiverPin();
+        });
+        
+        addListener('lock-now', 'click', () => {
+            this.lockCaregiver();
+            this.showToast('Changes are locked', 'success');
+        });
+        
         // Data management
         addListener('export-data', 'click', () => {
             this.exportData();
@@ -892,6 +5150,14 @@ class MedicationApp {
             this.importData();
         });
         
+        addListener('show-qr-code', 'click', () => {
+            this.showQrCode();
+        });
+        
+        addListener('import-qr', 'click', () => {
+            this.importFromQrImage();
+        });
+        
         addListener('clear-data', 'click', () => {
             this.clearAllData();
         });
@@ -941,13 +5207,13 @@ class MedicationApp {
         const container = document.getElementById('weekly-schedule');
         if (!container) return;
 
-        if (this.medications.length === 0) {
+        if (this.getActiveMedications().length === 0) {
             container.innerHTML = `
                 <div class="empty-state">
                     <div class="empty-state-icon" aria-hidden="true">💊</div>
                     <h3>No Medications Added Yet</h3>
                     <p>Add your medications first to see your weekly schedule.</p>
-                    <button onclick="app.showScreen('add-medication'); app.setupMedicationForm();" class="primary-btn" style="margin-top: var(--spacing-md);">
+                    <button onclick="app.openMedicationForm()" class="primary-btn" style="margin-top: var(--spacing-md);">
                         <span class="btn-icon" aria-hidden="true">➕</span>
                         Add Your First Medication
                     </button>
@@ -957,7 +5223,7 @@ class MedicationApp {
         }
 
         // Calculate the start of the week (Sunday)
-        const today = new Date();
+        const today = this.clock.now();
         const currentDayOfWeek = today.getDay(); // 0 = Sunday, 1 = Monday, etc.
         const startOfWeek = new Date(today);
         startOfWeek.setDate(today.getDate() - currentDayOfWeek + (this.currentWeekOffset * 7));
@@ -974,7 +5240,7 @@ class MedicationApp {
     }
 
     renderDayCard(date) {
-        const today = new Date();
+        const today = this.clock.now();
         const isToday = date.toDateString() === today.toDateString();
         const isPast = date < today && !isToday;
         
@@ -1004,11 +5270,9 @@ class MedicationApp {
     }
 
     getMedicationsForDay(date) {
-        // For simplicity, all medications are scheduled every day
-        // In a more advanced version, this could handle different scheduling patterns
         const timeGroups = {};
 
-        this.medications.forEach(medication => {
+        this.getMedicationsScheduledOn(date).forEach(medication => {
             medication.times.forEach(time => {
                 if (!timeGroups[time]) {
                     timeGroups[time] = [];
@@ -1035,7 +5299,7 @@ class MedicationApp {
                             <div class="upcoming-med-icon">💊</div>
                             <div>
                                 <div class="upcoming-med-name">${this.escapeHtml(medication.name)}</div>
-                                ${medication.dosage ? `<div class="upcoming-med-dosage">${this.escapeHtml(medication.dosage)}</div>` : ''}
+                                ${this.describeDoseInstruction(medication) ? `<div class="upcoming-med-dosage">${this.escapeHtml(this.describeDoseInstruction(medication))}</div>` : ''}
                             </div>
                         </div>
                     `).join('')}
@@ -1044,26 +5308,196 @@ class MedicationApp {
         `).join('');
     }
 
-    // Show medication management screen (placeholder for now)
+    // Medication Details - everything about one medication, with a large button to call the pharmacy
+    showMedicationDetails(medicationId) {
+        const medication = this.medications.find(med => med.id === medicationId);
+        if (!medication) return;
+
+        // Come back to wherever the details were opened from
+        this.medicationDetailsReturnScreen = this.currentScreen === 'manage-medications' ? 'manage-medications' : 'main-menu';
+        this.renderMedicationDetails(medication);
+        this.showScreen('medication-details');
+    }
+
+    closeMedicationDetails() {
+        if (this.medicationDetailsReturnScreen === 'manage-medications') {
+            this.showMedicationManagement();
+        } else {
+            this.showScreen('main-menu');
+        }
+    }
+
+    renderMedicationDetails(medication) {
+        const container = document.getElementById('med-details-content');
+        document.getElementById('med-details-title').textContent = medication.name;
+
+        const prescription = medication.prescription || {};
+        const details = [
+            ['Dose', this.describeDoseInstruction(medication)],
+            ['When', this.describeSchedule(medication)],
+            ['Times', medication.times.map(time => this.formatTime(time)).join(', ')],
+            ['Pill supply', this.isTrackingPills(medication) ? this.describePillSupply(medication) : ''],
+            ['Rx number', prescription.rxNumber],
+            ['Refills left', typeof prescription.refillsLeft === 'number' ? String(prescription.refillsLeft) : ''],
+            ['Prescription expires', prescription.expiryDate
+                ? this.parseDateInput(prescription.expiryDate).toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric' })
+                : ''],
+            ['Pharmacy', prescription.pharmacyName],
+            ['Pharmacy phone', prescription.pharmacyPhone]
+        ].filter(([, value]) => value);
+
+        container.innerHTML = `
+            ${this.getMedicationWarnings(medication).map(warning => `
+                <div class="medication-alert">
+                    <span class="medication-alert-icon" aria-hidden="true">⚠️</span>
+                    <p>${this.escapeHtml(warning)}</p>
+                </div>
+            `).join('')}
+
+            ${prescription.pharmacyPhone ? `
+                <a class="call-btn" href="${this.escapeHtml(this.getPhoneLink(prescription.pharmacyPhone))}">
+                    <span class="btn-icon" aria-hidden="true">📞</span>
+                    Call ${this.escapeHtml(prescription.pharmacyName || 'the pharmacy')}
+                </a>
+            ` : ''}
+
+            <dl class="med-details-list">
+                ${details.map(([label, value]) => `
+                    <div class="med-details-row">
+                        <dt>${label}</dt>
+                        <dd>${this.escapeHtml(value)}</dd>
+                    </div>
+                `).join('')}
+            </dl>
+
+            ${medication.archived ? '' : `
+                <button class="secondary-btn" onclick="app.editMedication('${medication.id}')">
+                    <span class="btn-icon" aria-hidden="true">✏️</span>
+                    Edit Medication
+                </button>
+            `}
+        `;
+    }
+
+    // Medication Management Screen
     showMedicationManagement() {
-        // For now, just show a toast - in future this could be a dedicated management screen
-        this.showToast('Medication management coming soon', 'success');
+        this.showScreen('manage-medications');
+        this.renderManageMedications();
+    }
+
+    renderManageMedications() {
+        const container = document.getElementById('manage-list');
+        if (!container || this.currentScreen !== 'manage-medications') return;
+
+        if (this.medications.length === 0) {
+            container.innerHTML = `
+                <div class="empty-state">
+                    <div class="empty-state-icon" aria-hidden="true">💊</div>
+                    <h3>No Medications Added</h3>
+                    <p>Tap "Add Medication" below to add your first medication.</p>
+                </div>
+            `;
+            return;
+        }
+
+        const current = this.medications.filter(medication => !medication.archived);
+        const archived = this.medications.filter(medication => medication.archived);
+
+        container.innerHTML = `
+            ${current.map(medication => this.renderManageCard(medication)).join('')}
+            ${archived.length > 0 ? `
+                <h2 class="manage-section-title">Archived</h2>
+                ${archived.map(medication => this.renderManageCard(medication)).join('')}
+            ` : ''}
+        `;
+    }
+
+    renderManageCard(medication) {
+        const isPaused = medication.isActive === false;
+        const status = medication.archived ? 'Archived' : (isPaused ? 'Paused' : 'Active');
+
+        const actions = medication.archived ? `
+            <button class="action-btn taken-btn" onclick="app.restoreMedication('${medication.id}')"
+                    aria-label="Restore ${this.escapeHtml(medication.name)}">Restore</button>
+            <button class="action-btn missed-btn" onclick="app.deleteMedication('${medication.id}')"
+                    aria-label="Delete ${this.escapeHtml(medication.name)}">Delete</button>
+        ` : `
+            <button class="action-btn edit-btn" onclick="app.showMedicationDetails('${medication.id}')"
+                    aria-label="Details for ${this.escapeHtml(medication.name)}">Details</button>
+            <button class="action-btn edit-btn" onclick="app.editMedication('${medication.id}')"
+                    aria-label="Edit ${this.escapeHtml(medication.name)}">Edit</button>
+            ${isPaused ? `
+                <button class="action-btn taken-btn" onclick="app.resumeMedication('${medication.id}')"
+                        aria-label="Resume ${this.escapeHtml(medication.name)}">Resume</button>
+            ` : `
+                <button class="action-btn skip-btn" onclick="app.pauseMedication('${medication.id}')"
+                        aria-label="Pause ${this.escapeHtml(medication.name)}">Pause</button>
+            `}
+            <button class="action-btn skip-btn" onclick="app.archiveMedication('${medication.id}')"
+                    aria-label="Archive ${this.escapeHtml(medication.name)}">Archive</button>
+        `;
+
+        return `
+            <div class="medication-card ${status.toLowerCase()}" role="article" aria-labelledby="manage-${medication.id}">
+                <div class="medication-header">
+                    <div>
+                        <h3 id="manage-${medication.id}" class="medication-name">${this.escapeHtml(medication.name)}</h3>
+                        ${this.describeDoseInstruction(medication) ? `<p class="medication-dosage">${this.escapeHtml(this.describeDoseInstruction(medication))}</p>` : ''}
+                    </div>
+                    <span class="med-state-badge state-${status.toLowerCase()}">${status}</span>
+                </div>
+                <p class="schedule-summary">${this.escapeHtml(this.describeSchedule(medication))}</p>
+                <div class="medication-times">
+                    ${medication.times.map(time => `<span class="time-badge">${this.formatTime(time)}</span>`).join('')}
+                </div>
+                ${this.isTrackingPills(medication) ? `
+                    <p class="pill-supply ${this.needsRefill(medication) ? 'pill-supply-low' : ''}">${this.describePillSupply(medication)}</p>
+                ` : ''}
+                <div class="medication-actions">
+                    ${actions}
+                </div>
+            </div>
+        `;
     }
 
     // Utility Functions
-    showToast(message, type = 'info') {
+    // action adds a button to the message, such as { label: 'Undo', onClick }, and keeps it up for longer
+    showToast(message, type = 'info', action = null) {
         const toast = document.getElementById('toast');
         toast.textContent = message;
         toast.className = `toast ${type}`;
         toast.setAttribute('aria-hidden', 'false');
         toast.classList.add('show');
         
-        setTimeout(() => {
-            toast.classList.remove('show');
-            setTimeout(() => {
-                toast.setAttribute('aria-hidden', 'true');
-            }, 300);
-        }, 3000);
+        if (action) {
+            const button = document.createElement('button');
+            button.className = 'toast-action';
+            button.textContent = action.label;
+            button.onclick = () => {
+                this.hideToast();
+                action.onClick();
+            };
+            toast.append(' ', button);
+        }
+        
+        // A new message restarts the timer, so it isn't hidden early by the one before
+        clearTimeout(this.toastTimer);
+        this.toastTimer = setTimeout(() => this.hideToast(), action ? UNDO_TOAST_SECONDS * 1000 : 3000);
+    }
+
+    hideToast() {
+        const toast = document.getElementById('toast');
+        toast.classList.remove('show');
+        
+        clearTimeout(this.toastTimer);
+        this.toastTimer = setTimeout(() => {
+            toast.setAttribute('aria-hidden', 'true');
+        }, 300);
+    }
+
+    // Success message with an Undo button for a change that was just logged
+    showUndoToast(message, change) {
+        this.showToast(message, 'success', change ? { label: 'Undo', onClick: () => this.undoChange(change.id) } : null);
     }
 
     showConfirmDialog(title, message, onConfirm) {
@@ -1075,6 +5509,8 @@ class MedicationApp {
         
         titleEl.textContent = title;
         messageEl.textContent = message;
+        yesBtn.textContent = 'Yes';
+        noBtn.hidden = false;
         modal.setAttribute('aria-hidden', 'false');
         
         yesBtn.onclick = () => {
@@ -1089,6 +5525,13 @@ class MedicationApp {
         yesBtn.focus();
     }
 
+    // Same dialog with a single OK button, for messages too long for a toast
+    showAlertDialog(title, message) {
+        this.showConfirmDialog(title, message, () => {});
+        document.getElementById('confirm-yes').textContent = 'OK';
+        document.getElementById('confirm-no').hidden = true;
+    }
+
     formatTime(time) {
         const [hours, minutes] = time.split(':');
         const hour12 = hours % 12 || 12;
@@ -1096,11 +5539,45 @@ class MedicationApp {
         return `${hour12}:${minutes} ${ampm}`;
     }
 
-    formatDateTime(isoString) {
+    pluralize(count, singular, plural = `${singular}s`) {
+        return `${count} ${count === 1 ? singular : plural}`;
+    }
+
+    // Day of a dose, e.g. "Oct 12"
+    formatShortDate(dateString) {
+        return new Date(dateString).toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+    }
+
+    // Shown in the time zone it was recorded in, named when that isn't the device's own
+    formatDateTime(isoString, timeZone) {
         const date = new Date(isoString);
+        if (timeZone && timeZone !== this.clock.getDeviceTimeZone()) {
+            try {
+                return date.toLocaleString(undefined, { timeZone, timeZoneName: 'short' });
+            } catch (error) {
+                console.log(`Unknown time zone ${timeZone}:`, error);
+            }
+        }
         return date.toLocaleString();
     }
 
+    // Local calendar date as 'YYYY-MM-DD', the format used by date inputs and schedules
+    toDateInputValue(date) {
+        const month = String(date.getMonth() + 1).padStart(2, '0');
+        const day = String(date.getDate()).padStart(2, '0');
+        return `${date.getFullYear()}-${month}-${day}`;
+    }
+
+    parseDateInput(value) {
+        const [year, month, day] = value.split('-').map(Number);
+        return new Date(year, month - 1, day);
+    }
+
+    // Whole calendar days from one date to another (rounding absorbs daylight-saving shifts)
+    daysBetween(fromDate, toDate) {
+        return Math.round((toDate - fromDate) / (24 * 60 * 60 * 1000));
+    }
+
     escapeHtml(text) {
         const map = {
             '&': '&amp;',
@@ -1114,16 +5591,107 @@ class MedicationApp {
 
     // Records Screen Calendar Functionality
     renderRecords() {
-        this.currentMonth = new Date();
+        // Start on the 1st so moving between months never skips a short month
+        this.currentMonth = this.clock.now();
+        this.currentMonth.setDate(1);
+        this.selectedDate = this.clock.now();
         this.renderCalendar();
+        this.renderAdherenceStats();
         this.setupRecordsEventListeners();
     }
 
+    getAdherenceStats() {
+        return new AdherenceStats(
+            this.history,
+            (medication, date) => this.isMedicationScheduledOn(medication, date),
+            this.clock.now(),
+            date => this.clock.toScheduleTime(date),
+            (medication, date) => this.getTimesOn(medication, date)
+        );
+    }
+
+    // Per-medication adherence, streaks and punctuality on the Records screen
+    renderAdherenceStats() {
+        const container = document.getElementById('adherence-stats');
+        if (!container) return;
+
+        const medications = this.medications.filter(med => !med.archived && !this.isAsNeeded(med));
+        if (medications.length === 0) {
+            container.innerHTML = `
+                <div class="empty-state">
+                    <p>No scheduled medications yet.</p>
+                </div>
+            `;
+            return;
+        }
+
+        const stats = this.getAdherenceStats();
+
+        container.innerHTML = medications.map(medication => {
+            const summary = stats.getMedicationSummary(medication);
+            const { current, longest } = summary.streaks;
+
+            return `
+                <div class="stats-card" role="article" aria-labelledby="stats-${medication.id}">
+                    <h3 id="stats-${medication.id}" class="stats-medication">${this.escapeHtml(medication.name)}</h3>
+                    <div class="stats-periods">
+                        ${summary.adherence.map(period => `
+                            <div class="stats-period">
+                                <span class="stats-percent ${this.getAdherenceClass(period.percent)}">${period.percent === null ? '–' : `${Math.round(period.percent)}%`}</span>
+                                <span class="stats-period-label">${period.days} days</span>
+                            </div>
+                        `).join('')}
+                    </div>
+                    <p class="stats-streak">
+                        Current streak: <strong>${this.pluralize(current, 'day')}</strong> · Best: <strong>${this.pluralize(longest, 'day')}</strong>
+                    </p>
+                    <ul class="stats-times" aria-label="Dose times over the last 30 days">
+                        ${summary.punctuality.map(slot => this.renderPunctuality(slot)).join('')}
+                    </ul>
+                </div>
+            `;
+        }).join('');
+    }
+
+    renderPunctuality(slot) {
+        if (slot.due === 0) {
+            return `<li class="stats-time"><strong>${this.formatTime(slot.time)}</strong> - not due yet</li>`;
+        }
+
+        let timing = 'never taken';
+        if (slot.typicalMinutesLate !== null) {
+            const minutes = Math.abs(slot.typicalMinutesLate);
+            if (minutes <= 5) {
+                timing = 'usually on time';
+            } else {
+                timing = `usually ${this.formatDuration(minutes / 60)} ${slot.typicalMinutesLate > 0 ? 'late' : 'early'}`;
+            }
+        }
+
+        const notTaken = [
+            slot.missed ? `${slot.missed} missed` : '',
+            slot.skipped ? `${slot.skipped} skipped` : ''
+        ].filter(Boolean).join(', ');
+
+        // Flag a time that is mostly late or often missed
+        const needsAttention = slot.missed / slot.due >= 0.25 || slot.late / slot.due >= 0.5;
+
+        return `
+            <li class="stats-time ${needsAttention ? 'stats-attention' : ''}">
+                <strong>${this.formatTime(slot.time)}</strong> - ${timing}
+                <span class="stats-counts">${slot.taken} of ${slot.due} taken${notTaken ? ` (${notTaken})` : ''}</span>
+            </li>
+        `;
+    }
+
     setupRecordsEventListeners() {
+        // Listeners only need to be attached once, however often the screen is opened
+        if (this.recordsListenersReady) return;
+        this.recordsListenersReady = true;
+
         const addListener = (id, event, handler) => {
             const element = document.getElementById(id);
             if (element) {
-                element.removeEventListener(event, handler);
                 element.addEventListener(event, handler);
             }
         };
@@ -1139,13 +5707,197 @@ class MedicationApp {
         });
 
         addListener('view-details-btn', 'click', () => {
-            this.showToast('Detailed view coming soon!', 'info');
+            this.showDayDetails(this.selectedDate || this.clock.now());
+        });
+
+        // Day buttons are re-created on every render, so listen on the grid
+        addListener('calendar-grid', 'click', (e) => {
+            const dayButton = e.target.closest('.calendar-day');
+            if (dayButton && dayButton.dataset.date) {
+                this.selectedDate = new Date(dayButton.dataset.date);
+                this.showDayDetails(this.selectedDate);
+            }
+        });
+
+        addListener('day-record-dose', 'click', () => {
+            this.recordDose(null, null, this.dayDetailsDate.toDateString());
+        });
+
+        addListener('back-from-day-details', 'click', () => {
+            this.showScreen('records');
+            this.renderCalendar();
         });
     }
 
+    // Day Details - every dose for one day with its status, so a caregiver can see why a day is at 50%
+    showDayDetails(date) {
+        this.showScreen('day-details');
+        this.renderDayDetails(date);
+    }
+
+    renderDayDetails(date) {
+        const title = document.getElementById('day-details-title');
+        const summary = document.getElementById('day-details-summary');
+        const list = document.getElementById('day-details-list');
+        if (!title || !summary || !list) return;
+
+        this.dayDetailsDate = date;
+        const dateString = date.toDateString();
+        const stats = this.getAdherenceStats();
+        const doses = this.getDosesForDay(date, stats);
+        const asNeededEntries = this.history.filter(entry => entry.asNeeded && entry.date === dateString);
+        const adherence = this.calculateDayAdherence(date, stats);
+
+        title.textContent = date.toLocaleDateString('en-US', { weekday: 'long', month: 'long', day: 'numeric' });
+
+        const counts = { taken: 0, skipped: 0, missed: 0, none: 0, pending: 0 };
+        doses.forEach(dose => counts[dose.status]++);
+
+        summary.innerHTML = adherence === null ? `
+            <p class="day-summary-text">No medications were scheduled on this day.</p>
+        ` : `
+            <div class="day-summary-percent">${Math.round(adherence)}%</div>
+            <p class="day-summary-text">
+                ${counts.taken} of ${this.pluralize(doses.length, 'dose')} taken
+                ${counts.skipped ? ` · ${counts.skipped} skipped` : ''}
+                ${counts.missed ? ` · ${counts.missed} missed` : ''}
+                ${counts.none ? ` · ${counts.none} with no record` : ''}
+                ${counts.pending ? ` · ${counts.pending} not due yet` : ''}
+            </p>
+        `;
+
+        const statusLabels = {
+            taken: 'Taken',
+            skipped: 'Skipped',
+            missed: 'Missed',
+            none: 'No record',
+            pending: 'Not due yet'
+        };
+
+        list.innerHTML = `
+            ${doses.map(dose => `
+                <div class="history-entry" role="article" aria-labelledby="dose-${dose.medication.id}-${dose.time}">
+                    <div id="dose-${dose.medication.id}-${dose.time}" class="history-medication">${this.escapeHtml(dose.medication.name)}</div>
+                    ${this.describeDose(dose.medication) ? `<div class="history-time">${this.escapeHtml(this.describeDose(dose.medication))}</div>` : ''}
+                    <div class="history-time">Scheduled: ${this.formatTime(dose.time)}
+                        ${dose.entry ? ` | Recorded: ${this.formatDateTime(dose.entry.actualTime, dose.entry.timeZone)}` : ''}</div>
+                    <span class="history-status status-${dose.status}" aria-label="Status: ${statusLabels[dose.status]}">
+                        ${statusLabels[dose.status]}
+                    </span>
+                    ${dose.entry ? this.renderSymptomNotes(dose.entry) + this.describeEdit(dose.entry) : ''}
+                    ${dose.status === 'pending' ? '' : `
+                        <button class="secondary-btn" onclick="app.recordDose('${dose.medication.id}', '${dose.time}', '${dateString}')"
+                                aria-label="${dose.entry ? 'Change' : 'Record'} the ${this.formatTime(dose.time)} dose of ${this.escapeHtml(dose.medication.name)}">
+                            ${dose.entry ? 'Change' : 'Record'}
+                        </button>
+                    `}
+                </div>
+            `).join('')}
+            ${asNeededEntries.length > 0 ? `
+                <h2 class="day-section-title">As Needed</h2>
+                ${asNeededEntries.map(entry => `
+                    <div class="history-entry" role="article" aria-labelledby="dose-${entry.id}">
+                        <div id="dose-${entry.id}" class="history-medication">${this.escapeHtml(entry.medicationName)}</div>
+                        <div class="history-time">Taken: ${this.formatDateTime(entry.actualTime, entry.timeZone)}</div>
+                        ${this.renderSymptomNotes(entry)}
+                        ${this.describeEdit(entry)}
+                        <button class="secondary-btn" onclick="app.editDoseEntry('${entry.id}')"
+                                aria-label="Change this dose of ${this.escapeHtml(entry.medicationName)}">
+                            Change
+                        </button>
+                    </div>
+                `).join('')}
+            ` : ''}
+        `;
+    }
+
+    // Every scheduled dose on a day with the history entry that settled it (if any)
+    // status is 'taken', 'skipped', 'missed', 'none' (past, nothing recorded) or 'pending' (not due yet).
+    // Pass in `stats` when looking at many days, so the history is indexed once rather than for every day.
+    getDosesForDay(date, stats = this.getAdherenceStats()) {
+        const now = this.clock.now();
+        const isPast = date < new Date(now.getFullYear(), now.getMonth(), now.getDate());
+        const doses = [];
+
+        // Past days list every medication that was being taken then - even if paused or archived
+        // since - so its doses can still be recorded or corrected. Today and later follow the current schedule.
+        const medications = isPast
+            ? this.medications.filter(medication => this.isMedicationScheduledOn(medication, date))
+            : this.getMedicationsScheduledOn(date);
+
+        medications.forEach(medication => {
+            const firstDay = stats.getFirstDay(medication);
+            const pausedPeriods = stats.getPausedPeriods(medication);
+            if (isPast && firstDay && date < firstDay) return;
+
+            this.getTimesOn(medication, date).forEach(time => {
+                const entry = stats.getEntry(medication.id, date, time);
+                const [hours, minutes] = time.split(':').map(Number);
+                const dueTime = new Date(date.getFullYear(), date.getMonth(), date.getDate(), hours, minutes);
+                if (isPast && !entry && stats.isPaused(dueTime, pausedPeriods)) return;
+
+                let status = entry ? entry.action : 'none';
+                if (!entry && dueTime > now) {
+                    status = 'pending';
+                }
+
+                doses.push({ medication, time, entry, status });
+            });
+        });
+
+        // Doses recorded that day are listed too, even for a time since taken off the schedule
+        stats.getEntriesOn(date).forEach(entry => {
+            if (doses.some(dose => dose.medication.id === entry.medicationId && dose.time === entry.scheduledTime)) return;
+
+            const medication = this.medications.find(med => med.id === entry.medicationId);
+            if (!medication) return;
+
+            doses.push({ medication, time: entry.scheduledTime, entry, status: entry.action });
+        });
+
+        return doses.sort((a, b) => a.time.localeCompare(b.time) || a.medication.name.localeCompare(b.medication.name));
+    }
+
+    // The history entry that settles a dose - taken wins over skipped, and skipped over missed
+    getDoseEntry(medicationId, time, dateString) {
+        const priority = { taken: 0, skipped: 1, missed: 2 };
+        return this.history
+            .filter(entry =>
+                entry.medicationId === medicationId &&
+                entry.scheduledTime === time &&
+                entry.date === dateString &&
+                priority[entry.action] !== undefined
+            )
+            .sort((a, b) => priority[a.action] - priority[b.action])[0] || null;
+    }
+
     renderCalendar() {
         this.updateMonthDisplay();
         this.generateCalendarDays();
+        this.renderMonthSummary();
+    }
+
+    // Taken, missed and skipped counts for the month shown on the calendar
+    renderMonthSummary() {
+        const summaryElement = document.getElementById('month-summary');
+        if (!summaryElement) return;
+
+        const year = this.currentMonth.getFullYear();
+        const month = this.currentMonth.getMonth();
+        const counts = { taken: 0, missed: 0, skipped: 0 };
+
+        this.history.forEach(entry => {
+            const entryDate = new Date(entry.date);
+            if (entryDate.getFullYear() === year && entryDate.getMonth() === month && counts[entry.action] !== undefined) {
+                counts[entry.action]++;
+            }
+        });
+
+        summaryElement.innerHTML = `
+            <span class="month-summary-item"><strong>${counts.taken}</strong> taken</span>
+            <span class="month-summary-item"><strong>${counts.missed}</strong> missed</span>
+            <span class="month-summary-item"><strong>${counts.skipped}</strong> skipped</span>
+        `;
     }
 
     updateMonthDisplay() {
@@ -1173,7 +5925,8 @@ class MedicationApp {
         startDate.setDate(startDate.getDate() - firstDay.getDay());
 
         const days = [];
-        const today = new Date();
+        const today = this.clock.now();
+        const stats = this.getAdherenceStats();
         
         // Generate 42 days (6 weeks * 7 days) for complete calendar view
         for (let i = 0; i < 42; i++) {
@@ -1185,16 +5938,18 @@ class MedicationApp {
             const isToday = currentDate.toDateString() === today.toDateString();
             
             // Calculate adherence for this day
-            const adherence = this.calculateDayAdherence(currentDate);
+            const adherence = this.calculateDayAdherence(currentDate, stats);
             const adherenceClass = this.getAdherenceClass(adherence);
             
             let dayClasses = ['calendar-day'];
             if (!isCurrentMonth) dayClasses.push('other-month');
             if (isToday) dayClasses.push('today');
+            if (this.selectedDate && currentDate.toDateString() === this.selectedDate.toDateString()) dayClasses.push('selected');
             if (adherenceClass) dayClasses.push(adherenceClass);
 
             days.push(`
-                <button class="${dayClasses.join(' ')}" data-date="${currentDate.toISOString()}">
+                <button class="${dayClasses.join(' ')}" data-date="${currentDate.toISOString()}"
+                        aria-label="${currentDate.toLocaleDateString('en-US', { month: 'long', day: 'numeric' })}${adherence !== null ? `, ${Math.round(adherence)}% taken` : ''}">
                     ${dayNumber}
                 </button>
             `);
@@ -1203,33 +5958,11 @@ class MedicationApp {
         calendarGrid.innerHTML = days.join('');
     }
 
-    calculateDayAdherence(date) {
-        const dateString = date.toDateString();
-        
-        // Count total scheduled medications for this day
-        let totalScheduled = 0;
-        let totalTaken = 0;
-
-        this.medications.forEach(medication => {
-            medication.times.forEach(time => {
-                totalScheduled++;
-                
-                // Check if this medication was taken on this day
-                const wasTaken = this.history.some(entry => 
-                    entry.medicationId === medication.id &&
-                    entry.scheduledTime === time &&
-                    entry.date === dateString &&
-                    entry.action === 'taken'
-                );
-                
-                if (wasTaken) {
-                    totalTaken++;
-                }
-            });
-        });
-
-        if (totalScheduled === 0) return null;
-        return (totalTaken / totalScheduled) * 100;
+    // Share of the day's doses that were taken, counted like the day's details - null when nothing was due
+    calculateDayAdherence(date, stats = this.getAdherenceStats()) {
+        const doses = this.getDosesForDay(date, stats);
+        if (doses.length === 0) return null;
+        return (doses.filter(dose => dose.status === 'taken').length / doses.length) * 100;
     }
 
     getAdherenceClass(adherence) {
@@ -1248,12 +5981,25 @@ const app = new MedicationApp();
 window.app = app;
 
 // Handle page visibility changes for notification scheduling
-document.addEventListener('visibilitychange', () => {
-    if (!document.hidden && app.notificationPermission) {
-        // Reschedule notifications when app becomes visible
-        app.medications.forEach(medication => {
-            app.scheduleNotifications(medication);
-        });
+document.addEventListener('visibilitychange', async () => {
+    if (document.hidden) {
+        // A caregiver's unlock ends when the app is put away
+        app.lockCaregiver();
+    } else {
+        // Pick up doses marked from notifications while the app was in the background
+        await app.reloadHistory();
+        
+        // Catch doses that went past their grace period while the app was in the background
+        if (app.resolveMissedDoses().length > 0) {
+            app.renderMedications();
+        }
+        app.scheduleDayRollover();
+        // The device may have changed time zones, e.g. after a flight
+        app.updateCurrentDate();
+        
+        // Timers stood still while hidden - catch up once, then work out reminder times again
+        app.refreshReminders();
+        app.restorePendingSnoozes();
     }
 });
 
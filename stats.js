@@ -0,0 +1,252 @@
+// Senior Medication App - Adherence Statistics
+// Works out per-medication adherence, streaks and punctuality from the dose history
+
+// Periods (in days) shown on the Records screen
+const ADHERENCE_PERIODS = [7, 30, 90];
+
+// A dose taken more than this many minutes after its scheduled time counts as late
+const LATE_DOSE_MINUTES = 30;
+
+class AdherenceStats {
+    // isScheduledOn(medication, date) and getTimesOn(medication, date) supply the app's schedule
+    // rules, so the stats agree with the calendar about which doses were due on each day. While
+    // travelling, `now` is on the schedule clock and toScheduleTime(date) moves saved timestamps onto it too.
+    constructor(history, isScheduledOn, now = new Date(), toScheduleTime = date => date,
+        getTimesOn = medication => medication.times) {
+        this.isScheduledOn = isScheduledOn;
+        this.getTimesOn = getTimesOn;
+        this.now = now;
+        this.toScheduleTime = toScheduleTime;
+        this.doseIndex = this.indexHistory(history);
+    }
+
+    // One history entry per dose - taken wins over skipped, and skipped over missed
+    indexHistory(history) {
+        const priority = { taken: 0, skipped: 1, missed: 2 };
+        const index = new Map();
+
+        history.forEach(entry => {
+            if (!entry.scheduledTime || priority[entry.action] === undefined) return;
+
+            const key = this.doseKey(entry.medicationId, entry.date, entry.scheduledTime);
+            const current = index.get(key);
+            if (!current || priority[entry.action] < priority[current.action]) {
+                index.set(key, entry);
+            }
+        });
+
+        return index;
+    }
+
+    doseKey(medicationId, dateString, time) {
+        return `${medicationId}|${dateString}|${time}`;
+    }
+
+    getEntry(medicationId, date, time) {
+        return this.doseIndex.get(this.doseKey(medicationId, date.toDateString(), time)) || null;
+    }
+
+    // The entries that settle each dose on a day, grouped by day the first time they are asked for
+    getEntriesOn(date) {
+        if (!this.dayIndex) {
+            this.dayIndex = new Map();
+            this.doseIndex.forEach(entry => {
+                if (!this.dayIndex.has(entry.date)) this.dayIndex.set(entry.date, []);
+                this.dayIndex.get(entry.date).push(entry);
+            });
+        }
+        return this.dayIndex.get(date.toDateString()) || [];
+    }
+
+    // Day-level helpers
+    startOfDay(date) {
+        return new Date(date.getFullYear(), date.getMonth(), date.getDate());
+    }
+
+    addDays(date, days) {
+        return new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+    }
+
+    atTime(date, time) {
+        const [hours, minutes] = time.split(':').map(Number);
+        return new Date(date.getFullYear(), date.getMonth(), date.getDate(), hours, minutes);
+    }
+
+    // First day a medication could have been due
+    getFirstDay(medication) {
+        return medication.createdAt ? this.startOfDay(this.toScheduleTime(new Date(medication.createdAt))) : null;
+    }
+
+    // Periods a medication was paused or archived, as { reason, from, to } on the schedule clock
+    // (`to` is null while it still is). No doses come due in them, even after it is resumed or restored.
+    getPausedPeriods(medication) {
+        const periods = (medication.pauses || []).map(pause => ({
+            reason: pause.reason,
+            from: this.toScheduleTime(new Date(pause.from)),
+            to: pause.to ? this.toScheduleTime(new Date(pause.to)) : null
+        }));
+
+        // Medications paused or archived before periods were kept only know when it started
+        const isOpen = reason => periods.some(period => period.reason === reason && !period.to);
+        if (medication.isActive === false && medication.pausedAt && !isOpen('paused')) {
+            periods.push({ reason: 'paused', from: this.toScheduleTime(new Date(medication.pausedAt)), to: null });
+        }
+        if (medication.archived && medication.archivedAt && !isOpen('archived')) {
+            periods.push({ reason: 'archived', from: this.toScheduleTime(new Date(medication.archivedAt)), to: null });
+        }
+
+        return periods;
+    }
+
+    isPaused(dueTime, pausedPeriods) {
+        return pausedPeriods.some(period => dueTime >= period.from && (!period.to || dueTime < period.to));
+    }
+
+    // Whether a dose has come due yet, outside any paused period
+    isDue(dueTime, pausedPeriods) {
+        return dueTime <= this.now && !this.isPaused(dueTime, pausedPeriods);
+    }
+
+    // Every dose that came due in the last `days` days (today included), oldest first
+    getDueDoses(medication, days) {
+        const today = this.startOfDay(this.now);
+        return this.getDueDosesBetween(medication, this.addDays(today, -(days - 1)), today);
+    }
+
+    // Every dose that came due from one day to another (both included), oldest first
+    getDueDosesBetween(medication, fromDate, toDate) {
+        const doses = [];
+        const today = this.startOfDay(this.now);
+        const firstDay = this.getFirstDay(medication);
+        const pausedPeriods = this.getPausedPeriods(medication);
+        let day = this.startOfDay(fromDate);
+        let lastDay = this.startOfDay(toDate);
+
+        if (firstDay && firstDay > day) day = firstDay;
+        if (lastDay > today) lastDay = today;
+
+        for (; day <= lastDay; day = this.addDays(day, 1)) {
+            if (!this.isScheduledOn(medication, day)) continue;
+
+            this.getTimesOn(medication, day).forEach(time => {
+                const dueTime = this.atTime(day, time);
+                if (!this.isDue(dueTime, pausedPeriods)) return;
+
+                // Today's open doses are still in their grace period, so they don't count against adherence yet
+                const entry = this.getEntry(medication.id, day, time);
+                if (!entry && day.getTime() === today.getTime()) return;
+
+                doses.push({ date: day, time, dueTime, entry, action: entry ? entry.action : null });
+            });
+        }
+
+        return doses;
+    }
+
+    // Share of due doses that were taken - percent is null when nothing was due
+    getAdherence(medication, days) {
+        return { days, ...this.countDoses(this.getDueDoses(medication, days)) };
+    }
+
+    getAdherenceBetween(medication, fromDate, toDate) {
+        return this.countDoses(this.getDueDosesBetween(medication, fromDate, toDate));
+    }
+
+    countDoses(doses) {
+        const taken = doses.filter(dose => dose.action === 'taken').length;
+        const skipped = doses.filter(dose => dose.action === 'skipped').length;
+
+        return {
+            due: doses.length,
+            taken,
+            skipped,
+            missed: doses.length - taken - skipped,
+            percent: doses.length > 0 ? (taken / doses.length) * 100 : null
+        };
+    }
+
+    // Streaks count days on which every dose was taken. Today only joins the
+    // streak once it is complete, so a dose that is still to come never breaks it.
+    getStreaks(medication) {
+        const today = this.startOfDay(this.now);
+        const firstDay = this.getFirstDay(medication);
+        if (!firstDay) return { current: 0, longest: 0 };
+
+        const pausedPeriods = this.getPausedPeriods(medication);
+        let current = 0;
+        let longest = 0;
+
+        for (let day = firstDay; day <= today; day = this.addDays(day, 1)) {
+            if (!this.isScheduledOn(medication, day)) continue;
+
+            const dueTimes = this.getTimesOn(medication, day).filter(time => this.isDue(this.atTime(day, time), pausedPeriods));
+            if (dueTimes.length === 0) continue;
+
+            const allTaken = dueTimes.every(time => {
+                const entry = this.getEntry(medication.id, day, time);
+                return entry && entry.action === 'taken';
+            });
+
+            if (allTaken) {
+                current++;
+                longest = Math.max(longest, current);
+            } else if (day < today) {
+                current = 0;
+            }
+        }
+
+        return { current, longest };
+    }
+
+    // Minutes between the scheduled time and when the dose was recorded (negative when early).
+    // Entries made while travelling carry the real moment the dose was due.
+    getMinutesLate(entry) {
+        const scheduled = entry.scheduledAt
+            ? new Date(entry.scheduledAt)
+            : this.atTime(new Date(entry.date), entry.scheduledTime);
+        return Math.round((new Date(entry.actualTime) - scheduled) / 60000);
+    }
+
+    // Punctuality for each scheduled time of a medication, so a dose that is
+    // always late or missed (say, the evening one) stands out
+    getPunctuality(medication, days = 30) {
+        const doses = this.getDueDoses(medication, days);
+
+        return [...medication.times].sort().map(time => {
+            const timeDoses = doses.filter(dose => dose.time === time);
+            const takenDoses = timeDoses.filter(dose => dose.action === 'taken');
+            const skipped = timeDoses.filter(dose => dose.action === 'skipped').length;
+            const minutesLate = takenDoses.map(dose => this.getMinutesLate(dose.entry));
+
+            return {
+                time,
+                due: timeDoses.length,
+                taken: takenDoses.length,
+                skipped,
+                missed: timeDoses.length - takenDoses.length - skipped,
+                late: minutesLate.filter(minutes => minutes > LATE_DOSE_MINUTES).length,
+                typicalMinutesLate: this.median(minutesLate)
+            };
+        });
+    }
+
+    median(values) {
+        if (values.length === 0) return null;
+
+        const sorted = [...values].sort((a, b) => a - b);
+        const middle = Math.floor(sorted.length / 2);
+        return sorted.length % 2 === 1
+            ? sorted[middle]
+            : Math.round((sorted[middle - 1] + sorted[middle]) / 2);
+    }
+
+    // Everything the Records screen shows for one medication
+    getMedicationSummary(medication) {
+        return {
+            medication,
+            adherence: ADHERENCE_PERIODS.map(days => this.getAdherence(medication, days)),
+            streaks: this.getStreaks(medication),
+            punctuality: this.getPunctuality(medication)
+        };
+    }
+}
@@ -1,12 +1,21 @@
 // Service Worker for Senior Medication App
 // Provides offline functionality and PWA capabilities
 
-const CACHE_NAME = 'senior-med-tracker-v17';
+// Shared IndexedDB data store (MedicationStore)
+importScripts('./db.js');
+
+const CACHE_NAME = 'senior-med-tracker-v61';
 const urlsToCache = [
     './',
     './index.html',
-    './styles.css?v=16',
-    './script.js?v=16',
+    './styles.css?v=60',
+    './db.js?v=60',
+    './stats.js?v=60',
+    './clock.js?v=60',
+    './reminders.js?v=60',
+    './qrcode.js?v=60',
+    './script.js?v=60',
+    './interactions.json',
     './manifest.json'
 ];
 
@@ -103,6 +112,12 @@ self.addEventListener('fetch', event => {
     );
 });
 
+// Minutes to wait when "Remind Later" is tapped, unless the reminder carries the user's own setting
+const DEFAULT_SNOOZE_MINUTES = 10;
+
+// Periodic sync registered by the app (script.js) to show snoozes saved while it was closed
+const SNOOZE_SYNC_TAG = 'medication-snoozes';
+
 // Handle background sync for future medication reminders
 self.addEventListener('sync', event => {
     console.log('Background sync event:', event.tag);
@@ -115,6 +130,28 @@ self.addEventListener('sync', event => {
     }
 });
 
+// Show snoozed reminders saved while no window was open, once they are due
+self.addEventListener('periodicsync', event => {
+    if (event.tag === SNOOZE_SYNC_TAG) {
+        event.waitUntil(showDueSnoozes());
+    }
+});
+
+async function showDueSnoozes() {
+    try {
+        const store = await new MedicationStore().open();
+        const now = Date.now();
+        const due = await store.takePendingSnoozes(snooze => snooze.dueAt <= now);
+        
+        await Promise.all(due.map(snooze => self.registration.showNotification(
+            `Time for ${snooze.data.reminderName || snooze.data.medicationName}`,
+            buildReminderOptions(snooze.data)
+        )));
+    } catch (error) {
+        console.error('Error showing snoozed reminders:', error);
+    }
+}
+
 // Handle push notifications (for future enhancement)
 self.addEventListener('push', event => {
     console.log('Push notification received');
@@ -156,14 +193,14 @@ self.addEventListener('notificationclick', event => {
             handleMedicationTaken(event.notification.data)
         );
     } else if (event.action === 'snooze') {
-        // Handle snooze action - reminder in 10 minutes
+        // Handle snooze action - remind again after the user's snooze length
         event.waitUntil(
             handleMedicationSnooze(event.notification.data)
         );
     } else {
         // Default action - open the app
         event.waitUntil(
-            clients.openWindow('./')
+            focusOrOpenApp()
         );
     }
 });
@@ -185,17 +222,86 @@ async function handleMedicationReminder() {
     }
 }
 
+// Pills a dose takes from the supply, as getPillsPerDose() in script.js: the dose's amount,
+// except for drops, which aren't counted one by one
+const UNCOUNTED_DOSE_FORMS = ['drops'];
+
+function getPillsPerDose(medication) {
+    const dose = medication.dose || {};
+    return UNCOUNTED_DOSE_FORMS.includes(dose.form) ? 1 : dose.amount || 1;
+}
+
 async function handleMedicationTaken(medicationData) {
     try {
-        // This would record that medication was taken
         console.log('Recording medication as taken:', medicationData);
         
-        // In a real implementation, this would:
-        // 1. Update local storage
-        // 2. Record the action in history
-        // 3. Cancel any pending reminder notifications
+        if (!medicationData || !medicationData.medicationId) {
+            return;
+        }
         
-        return Promise.resolve();
+        const store = await new MedicationStore().open();
+        const medication = await store.get('medications', medicationData.medicationId);
+        const date = medicationData.date || new Date().toDateString();
+        
+        // Nothing to do if the dose was already marked, for example from the app
+        const doseEntries = await store.getDoseEntries(medicationData.medicationId, date, medicationData.time);
+        if (doseEntries.some(entry => entry.action === 'taken')) {
+            return;
+        }
+        
+        // Same shape as the entries written by recordMedicationAction() in script.js
+        const historyEntry = {
+            id: Date.now().toString(),
+            profileId: medication ? medication.profileId : medicationData.profileId,
+            medicationId: medicationData.medicationId,
+            medicationName: medication ? medication.name : medicationData.medicationName,
+            action: 'taken',
+            scheduledTime: medicationData.time,
+            actualTime: new Date().toISOString(),
+            date: date,
+            scheduledAt: medicationData.scheduledAt || null,
+            timeZone: Intl.DateTimeFormat().resolvedOptions().timeZone
+        };
+        
+        // Take the dose's pills out of the supply, as usePills() in script.js does
+        const medicationUpdates = [];
+        const medicationSnapshots = [];
+        if (medication && typeof medication.pillsOnHand === 'number') {
+            const before = { ...medication };
+            historyEntry.pillsUsed = Math.min(medication.pillsOnHand, getPillsPerDose(medication));
+            medication.pillsOnHand -= historyEntry.pillsUsed;
+            medicationUpdates.push(medication);
+            medicationSnapshots.push({ id: medication.id, before, after: medication });
+        }
+        
+        // Taking the dose replaces a missed entry the app recorded for it automatically
+        const replacedEntries = doseEntries.filter(entry => entry.autoDetected);
+        
+        // Logged like the app's own saves (see logChange() in script.js), so it shows under
+        // Recent Changes and can be undone
+        const change = {
+            id: Date.now().toString(),
+            profileId: historyEntry.profileId,
+            changedAt: new Date().toISOString(),
+            description: `Marked ${historyEntry.medicationName} as taken from a reminder`,
+            medications: medicationSnapshots,
+            history: [
+                { id: historyEntry.id, before: null, after: historyEntry },
+                ...replacedEntries.map(entry => ({ id: entry.id, before: entry, after: null }))
+            ],
+            journal: []
+        };
+        
+        await store.applyChanges({
+            put: { history: [historyEntry], medications: medicationUpdates, changes: [change] },
+            delete: { history: replacedEntries.map(entry => entry.id) }
+        });
+        
+        // Open windows reload their history and change log; closed ones read them on next launch
+        const windowClients = await clients.matchAll({ type: 'window', includeUncontrolled: true });
+        windowClients.forEach(client => {
+            client.postMessage({ type: 'history-changed' });
+        });
     } catch (error) {
         console.error('Error recording medication taken:', error);
     }
@@ -203,19 +309,93 @@ async function handleMedicationTaken(medicationData) {
 
 async function handleMedicationSnooze(medicationData) {
     try {
-        // This would reschedule the notification
         console.log('Snoozing medication reminder:', medicationData);
         
-        // In a real implementation, this would:
-        // 1. Schedule a new notification in 10 minutes
-        // 2. Cancel the current notification
+        if (!medicationData || !medicationData.medicationId) {
+            return;
+        }
         
-        return Promise.resolve();
+        const snoozeMinutes = medicationData.snoozeMinutes || DEFAULT_SNOOZE_MINUTES;
+        
+        // An open window can keep a timer running for the full snooze time
+        const windowClients = await clients.matchAll({ type: 'window', includeUncontrolled: true });
+        if (windowClients.length > 0) {
+            windowClients[0].postMessage({
+                type: 'snooze',
+                profileId: medicationData.profileId,
+                medicationId: medicationData.medicationId,
+                time: medicationData.time,
+                date: medicationData.date,
+                attempt: medicationData.attempt || 0,
+                minutes: snoozeMinutes
+            });
+            return;
+        }
+        
+        const title = `Time for ${medicationData.reminderName || medicationData.medicationName}`;
+        const options = buildReminderOptions(medicationData);
+        const remindAt = Date.now() + snoozeMinutes * 60 * 1000;
+        
+        // Notification triggers let the browser show the reminder even if the worker is stopped
+        if ('showTrigger' in Notification.prototype && typeof TimestampTrigger !== 'undefined') {
+            options.showTrigger = new TimestampTrigger(remindAt);
+            await self.registration.showNotification(title, options);
+            return;
+        }
+        
+        // Otherwise the browser stops the worker long before the snooze is over, so save it for the
+        // app to show when it next runs - or a periodic sync, where the browser offers one
+        const store = await new MedicationStore().open();
+        await store.addPendingSnooze({
+            profileId: medicationData.profileId,
+            medicationId: medicationData.medicationId,
+            time: medicationData.time,
+            date: medicationData.date,
+            attempt: medicationData.attempt || 0,
+            dueAt: remindAt,
+            data: medicationData
+        });
     } catch (error) {
         console.error('Error snoozing medication reminder:', error);
     }
 }
 
+// Reminder options for a medication, matching showMedicationNotification() in script.js
+function buildReminderOptions(medicationData) {
+    return {
+        body: medicationData.instruction || `Take your ${medicationData.medicationName} now`,
+        icon: 'data:image/svg+xml,<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" fill="%231565C0"><path d="M19 8h-2v3h-3v2h3v3h2v-3h3v-2h-3V8zM4 6h5v2H4V6zm0 4h5v2H4v-2zm0 4h5v2H4v-2z"/></svg>',
+        vibrate: [200, 100, 200],
+        requireInteraction: true,
+        tag: `medication-${medicationData.medicationId}-${medicationData.time}`,
+        data: medicationData,
+        actions: [
+            {
+                action: 'taken',
+                title: 'Mark as Taken',
+                icon: 'data:image/svg+xml,<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" fill="%232E7D32"><path d="M9 16.17L4.83 12l-1.42 1.41L9 19 21 7l-1.41-1.41z"/></svg>'
+            },
+            {
+                action: 'snooze',
+                title: 'Remind Later',
+                icon: 'data:image/svg+xml,<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" fill="%23FF9800"><path d="M9 11H7v6h2v-6zm4 0h-2v6h2v-6zm4 0h-2v6h2v-6zm2-7h-3V2h-2v2H8V2H6v2H3c-1.1 0-2 .9-2 2v14c0 1.1.9 2 2 2h18c1.1 0 2-.9 2-2V6c0-1.1-.9-2-2-2zm0 16H3V9h18v11z"/></svg>'
+            }
+        ]
+    };
+}
+
+// Bring an open app window forward, or open a new one
+async function focusOrOpenApp() {
+    const windowClients = await clients.matchAll({ type: 'window', includeUncontrolled: true });
+    
+    if (windowClients.length > 0) {
+        windowClients[0].postMessage({ type: 'open-screen', screen: 'main-menu' });
+        return windowClients[0].focus();
+    }
+    
+    return clients.openWindow('./');
+}
+
 // Handle errors
 self.addEventListener('error', event => {
     console.error('Service Worker error:', event.error);